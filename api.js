@@ -0,0 +1,160 @@
+// ── Backend API client ──────────────────────────────────────────────────────
+// Every call to the Flask backend goes through createApiClient so they all get
+// the same timeouts, retry policy, cold-start handling and error shapes.
+// Loaded as a plain script before index.js; it only defines globals.
+
+class ApiError extends Error {
+    constructor(message, { kind, status = 0, code = null, data = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.kind = kind;      // 'network' | 'timeout' | 'client' (4xx) | 'server' (5xx) | 'aborted'
+        this.status = status;
+        this.code = code;      // backend error code, e.g. 'session_expired'
+        this.data = data;
+    }
+}
+
+const API_DEFAULT_TIMEOUT_MS = 20000;
+const API_WAKE_TIMEOUT_MS = 90000;   // Render free instances take ~30–60 s to boot
+const API_RETRY_BASE_MS = 600;
+const COLD_START_STATUSES = [502, 503, 504];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+const REPLAYABLE_METHODS = ['GET', 'HEAD'];  // resent automatically once a sleeping server wakes; see `replay`
+
+// True for a user-initiated cancel, whether it surfaced from fetch or from a stream read
+const isAbortError = (err) => err && (err.kind === 'aborted' || err.name === 'AbortError');
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    const cancel = () => {
+        clearTimeout(timer);
+        reject(new ApiError('Request cancelled.', { kind: 'aborted' }));
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', cancel);
+        resolve();
+    }, ms);
+    if (signal?.aborted) return cancel();
+    signal?.addEventListener('abort', cancel, { once: true });
+});
+
+// Settles like `promise`, or rejects as cancelled as soon as `signal` aborts
+const untilAborted = (promise, signal) => !signal ? promise : new Promise((resolve, reject) => {
+    const cancel = () => reject(new ApiError('Request cancelled.', { kind: 'aborted' }));
+    if (signal.aborted) return cancel();
+    signal.addEventListener('abort', cancel, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', cancel));
+});
+
+const createApiClient = ({ baseUrl, onWakeChange = () => {} }) => {
+    let waking = null;   // one shared wake-up for all calls that hit a sleeping server
+
+    // A single fetch with a timeout on top of the caller's abort signal. The
+    // timeout only covers the wait for response headers; a streamed body keeps
+    // flowing until the caller aborts.
+    const attempt = async (path, { timeout, signal, ...init }) => {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        const forward = () => controller.abort();
+        signal?.addEventListener('abort', forward, { once: true });
+        try {
+            return await fetch(`${baseUrl}${path}`, { ...init, signal: controller.signal });
+        } catch {
+            if (signal?.aborted) throw new ApiError('Request cancelled.', { kind: 'aborted' });
+            if (controller.signal.aborted) throw new ApiError('The server took too long to respond. Please try again.', { kind: 'timeout' });
+            throw new ApiError(`Can't reach the server at ${baseUrl}. Check your connection or the backend URL.`, { kind: 'network' });
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', forward);
+        }
+    };
+
+    const toError = async (res) => {
+        let data = {};
+        try { data = await res.json(); } catch { /* proxy error pages are not JSON */ }
+        const kind = res.status >= 500 ? 'server' : 'client';
+        const fallback = kind === 'server'
+            ? `Server error (${res.status}). Please try again shortly.`
+            : `Request failed (${res.status}).`;
+        return new ApiError(data.message || fallback, { kind, status: res.status, code: data.code || null, data });
+    };
+
+    // Poll /health with growing gaps until the backend answers or we give up. The poll is
+    // shared, so one caller cancelling only stops that caller waiting for it.
+    const wakeUp = (signal) => {
+        if (!waking) {
+            onWakeChange(true);
+            waking = (async () => {
+                const deadline = Date.now() + API_WAKE_TIMEOUT_MS;
+                let gap = 2000;
+                while (Date.now() < deadline) {
+                    try {
+                        if ((await attempt('/health', { timeout: 10000 })).ok) return true;
+                    } catch { /* still booting */ }
+                    await sleep(gap);
+                    gap = Math.min(gap * 1.5, 8000);
+                }
+                return false;
+            })().finally(() => {
+                waking = null;
+                onWakeChange(false);
+            });
+        }
+        return untilAborted(waking, signal);
+    };
+
+    // Resolves to an ok Response or throws ApiError. Options are fetch's plus
+    // `json` (object body), `timeout` (ms), `retries` (defaults to 2 for
+    // idempotent methods, 0 otherwise), `wake` (false skips the cold-start flow) and
+    // `replay` (resend after a wake-up; defaults to true for GET and HEAD only).
+    const request = async (path, options = {}) => {
+        const { json: payload, timeout = API_DEFAULT_TIMEOUT_MS, retries, wake = true, replay, ...init } = options;
+        const method = (init.method || 'GET').toUpperCase();
+        const idempotent = IDEMPOTENT_METHODS.includes(method);
+        const maxRetries = retries ?? (idempotent ? 2 : 0);
+        const replayable = replay ?? REPLAYABLE_METHODS.includes(method);
+        if (payload !== undefined) {
+            init.body = JSON.stringify(payload);
+            init.headers = { 'Content-Type': 'application/json', ...(init.headers || {}) };
+        }
+
+        let woke = false;
+        for (let n = 0; ; n++) {
+            let res = null;
+            let failure = null;
+            try {
+                res = await attempt(path, { timeout, ...init });
+            } catch (err) {
+                failure = err;
+            }
+            if (res && res.ok) return res;
+            if (failure && failure.kind === 'aborted') throw failure;
+
+            // A sleeping instance refuses connections or answers from the proxy with
+            // 502/503/504. The same failures can also cut off a request the app already
+            // received, so only reads and callers that opt in with `replay` are resent after
+            // the wake-up; a query or upload completion could otherwise run twice.
+            const asleep = failure
+                ? failure.kind === 'network' || (failure.kind === 'timeout' && idempotent)
+                : COLD_START_STATUSES.includes(res.status);
+            if (asleep && wake && !woke) {
+                woke = true;
+                if (await wakeUp(init.signal)) {
+                    if (replayable) continue;
+                    throw new ApiError('The server was starting up and is ready now. Please try again.', { kind: 'network' });
+                }
+            }
+
+            const error = failure || await toError(res);
+            const transient = error.kind !== 'client';
+            if (transient && n < maxRetries) {
+                await sleep(API_RETRY_BASE_MS * 2 ** n, init.signal);
+                continue;
+            }
+            throw error;
+        }
+    };
+
+    const json = async (path, options) => (await request(path, options)).json();
+
+    return { request, json, baseUrl };
+};
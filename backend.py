@@ -1,19 +1,39 @@
 import os
+import re
+import math
+import json
+import shutil
+import hashlib
 import tempfile
 import time
-from flask import Flask, request, jsonify
+import datetime
+import uuid
+import threading
+from functools import wraps
+from typing import Any, Optional
+import faiss
+import numpy as np
+from flask import Flask, Response, request, jsonify, stream_with_context, g, send_file
 from flask_cors import CORS
 from dotenv import load_dotenv
 
-from langchain_community.document_loaders import PyPDFLoader
 from langchain_text_splitters import RecursiveCharacterTextSplitter
 from langchain_community.vectorstores import FAISS
-from langchain_google_genai import GoogleGenerativeAIEmbeddings
-from langchain_groq import ChatGroq
+from langchain_community.vectorstores.utils import maximal_marginal_relevance
 # THE CORRECT IMPORTS TO PREVENT MODULENOTFOUNDERROR
-from langchain_classic.chains import create_retrieval_chain                         
+from langchain_classic.chains import create_retrieval_chain, create_history_aware_retriever
 from langchain_classic.chains.combine_documents import create_stuff_documents_chain 
-from langchain_core.prompts import ChatPromptTemplate
+from langchain_core.prompts import ChatPromptTemplate, MessagesPlaceholder, PromptTemplate, format_document
+from langchain_core.messages import HumanMessage, AIMessage
+from langchain_core.documents import Document
+from langchain_core.retrievers import BaseRetriever
+from langchain_core.runnables import RunnableLambda, RunnablePassthrough
+from langchain_core.callbacks import BaseCallbackHandler
+
+import loaders
+import ocr
+import providers
+import search
 
 load_dotenv()
 
@@ -21,186 +41,1843 @@ app = Flask(__name__)
 CORS(app, resources={r"/*": {"origins": "*"}})
 
 embeddings = None
-db = None
 llm = None
+embedding_info = None  # {'provider', 'model', 'local', 'rate_limited'} of the loaded embedder
+llm_info = None        # {'provider', 'model', 'local', 'pricing'} of the loaded chat model
+
+# Each browser gets its own workspace so concurrent users never share an index.
+# session_id -> {'collection_name', 'documents', 'last_seen', 'lock'}
+# where documents maps doc_id -> {'id', 'name', 'format', 'pages', 'chunks', 'chunking', 'ocr', 'insights', 'db'}.
+# 'pages' counts pages for PDFs and sections for every other format.
+# Documents are only added under the session's lock (see add_document).
+# Hybrid queries also cache the document's BM25 index under 'keywords'.
+sessions = {}
+sessions_lock = threading.Lock()
+
+SESSION_IDLE_SECONDS = int(os.getenv("SESSION_IDLE_MINUTES", "30")) * 60
+
+# Embedded indexes are saved under LIBRARY_DIR/indexes/<sha256 of the file> so a
+# restart never forces a re-embed. Which documents a browser has embedded is kept
+# per library id (LIBRARY_DIR/owners/<id>.json) so users only ever list their own.
+LIBRARY_DIR = os.getenv("LIBRARY_DIR", "vectorstore")
+LIBRARY_ID_PATTERN = re.compile(r'^[A-Za-z0-9-]{8,64}$')
+DOC_HASH_PATTERN = re.compile(r'^[a-f0-9]{64}$')
+library_lock = threading.Lock()
+
+# Background upload jobs: job_id -> {'id', 'session_id', 'upload_id', 'status', 'stage', 'detail',
+# 'progress', 'message', 'document', 'metrics', 'cancel', 'updated_at'}. Finished jobs linger
+# briefly so a client polling a moment late still sees the outcome.
+jobs = {}
+jobs_lock = threading.Lock()
+JOB_RETENTION_SECONDS = 10 * 60
+
+# Chunked uploads: upload_id -> {'id', 'session_id', 'filename', 'format', 'size', 'part_size',
+# 'parts', 'received', 'dir', 'updated_at'}. Parts sit on disk until the upload is
+# completed, so a dropped connection only costs the part that was in flight.
+uploads = {}
+uploads_lock = threading.Lock()
+UPLOAD_DIR = os.path.join(tempfile.gettempdir(), 'rag-uploads')
+UPLOAD_PART_SIZE = 5 * 1024 * 1024
+UPLOAD_RETENTION_SECONDS = 60 * 60  # abandoned uploads are deleted after an idle hour
+
+MAX_UPLOAD_MB = int(os.getenv("MAX_UPLOAD_MB", "100"))
+MAX_UPLOAD_BYTES = MAX_UPLOAD_MB * 1024 * 1024
+MAX_DOCUMENTS = 10     # per collection, keeps memory bounded on the free tier
+MAX_HISTORY_TURNS = 5  # prior Q/A turns considered for follow-up questions
+SNIPPET_CHARS = 280    # preview length of a cited chunk
+INSIGHT_SAMPLE_CHARS = 12000  # document text shown to the model when writing the overview
+MAX_OUTLINE_ITEMS = 20
+
+# Tunable per request within these bounds; the defaults suit long, dense papers
+RETRIEVAL_DEFAULTS = {'search_type': 'mmr', 'k': 5, 'fetch_k': 12, 'lambda_mult': 0.6, 'keyword_weight': 0.4}
+RETRIEVAL_BOUNDS = {'k': (1, 12), 'fetch_k': (1, 50), 'lambda_mult': (0.0, 1.0), 'keyword_weight': (0.0, 1.0)}
+SEARCH_TYPES = ('mmr', 'similarity', 'hybrid')
+MAX_FILTER_PHRASES = 5
+MAX_FILTER_CHARS = 200
+
+SUMMARY_BATCH_CHARS = 12000  # hard cap on document text per map call of a whole-document summary
+SUMMARY_CONCURRENCY = 4      # map calls in flight at once; long books take longer, never larger prompts
+EXTRACT_FIELD_TYPES = ('text', 'number', 'date', 'boolean', 'list')
+MAX_EXTRACT_FIELDS = 20
+MAX_FIELD_NAME_CHARS = 60
+EXTRACT_PASSAGES_PER_FIELD = 3  # per document; each field is searched for on its own
+# Massive chunks by default to radically reduce the total chunk count
+CHUNKING_DEFAULTS = {'chunk_size': 4000, 'chunk_overlap': 400}
+CHUNKING_BOUNDS = {'chunk_size': (500, 8000), 'chunk_overlap': (0, 1000)}
+
+def purge_expired_sessions():
+    cutoff = time.time() - SESSION_IDLE_SECONDS
+    with sessions_lock:
+        for session_id in [sid for sid, s in sessions.items() if s['last_seen'] < cutoff]:
+            del sessions[session_id]
+            print(f"🧹 Session {session_id[:8]} expired")
+
+def get_session(session_id):
+    """Return the live session for this id and refresh its idle timer, or None."""
+    purge_expired_sessions()
+    with sessions_lock:
+        session = sessions.get(session_id) if session_id else None
+        if session is not None:
+            session['last_seen'] = time.time()
+        return session
+
+def require_session(view):
+    """Resolve the X-Session-Id header into g.session or answer 401 session_expired."""
+    @wraps(view)
+    def wrapper(*args, **kwargs):
+        g.session = get_session(request.headers.get('X-Session-Id'))
+        if g.session is None:
+            minutes = SESSION_IDLE_SECONDS // 60
+            return jsonify({
+                'message': f'Your session expired after {minutes} minutes of inactivity. Please upload your documents again.',
+                'code': 'session_expired'
+            }), 401
+        return view(*args, **kwargs)
+    return wrapper
+
+def current_library_id():
+    library_id = request.headers.get('X-Library-Id', '')
+    return library_id if LIBRARY_ID_PATTERN.match(library_id) else None
+
+def index_dir(doc_hash):
+    return os.path.join(LIBRARY_DIR, 'indexes', providers.embedding_key(), doc_hash)
+
+def owner_path(library_id):
+    return os.path.join(LIBRARY_DIR, 'owners', f'{library_id}.json')
+
+def read_library(library_id):
+    if not library_id:
+        return []
+    try:
+        with open(owner_path(library_id)) as f:
+            return json.load(f)
+    except (FileNotFoundError, json.JSONDecodeError):
+        return []
+
+def add_to_library(library_id, entry):
+    """Record (or bump to the top) a document in this browser's library listing."""
+    if not library_id:
+        return
+    with library_lock:
+        entries = [e for e in read_library(library_id) if e['hash'] != entry['hash']]
+        entries.insert(0, entry)
+        path = owner_path(library_id)
+        os.makedirs(os.path.dirname(path), exist_ok=True)
+        with open(path + '.tmp', 'w') as f:
+            json.dump(entries, f)
+        os.replace(path + '.tmp', path)
+
+def library_entry(doc_hash, name, meta):
+    return {'hash': doc_hash, 'name': name, 'format': meta.get('format', 'pdf'), 'pages': meta['pages'],
+            'chunks': meta['chunks'], 'added_at': int(time.time())}
+
+def find_in_library(library_id, doc_hash):
+    return next((e for e in read_library(library_id) if e['hash'] == doc_hash), None)
+
+def source_path(doc_hash, fmt):
+    return os.path.join(index_dir(doc_hash), 'source' + loaders.EXTENSIONS[fmt])
+
+def save_index(doc_hash, db, meta, source_file):
+    path = index_dir(doc_hash)
+    os.makedirs(path, exist_ok=True)
+    db.save_local(path)
+    shutil.copyfile(source_file, source_path(doc_hash, meta['format']))
+    with open(os.path.join(path, 'meta.json'), 'w') as f:
+        json.dump(meta, f)
+
+def load_index(doc_hash):
+    """Return (db, meta) for a saved index, or None if it isn't on disk."""
+    path = index_dir(doc_hash)
+    if not os.path.exists(os.path.join(path, 'index.faiss')):
+        return None
+
+    # The pickle was written by save_index above, never by a client
+    db = FAISS.load_local(path, embeddings, allow_dangerous_deserialization=True)
+    with open(os.path.join(path, 'meta.json')) as f:
+        meta = json.load(f)
+    return db, meta
+
+def file_sha256(path):
+    digest = hashlib.sha256()
+    with open(path, 'rb') as f:
+        for block in iter(lambda: f.read(1024 * 1024), b''):
+            digest.update(block)
+    return digest.hexdigest()
+
+def document_record(doc_id, name, meta, db):
+    # Indexes saved before chunking was tunable were all built with the defaults
+    return {'id': doc_id, 'name': name, 'format': meta.get('format', 'pdf'), 'pages': meta['pages'], 'chunks': meta['chunks'],
+            'chunking': meta.get('chunking', CHUNKING_DEFAULTS), 'ocr': meta.get('ocr'),
+            'insights': meta.get('insights'), 'db': db}
+
+def describe_document(record):
+    return {key: record[key] for key in ('id', 'name', 'format', 'pages', 'chunks', 'chunking', 'ocr', 'insights')}
+
+def parse_bounded(raw, defaults, bounds):
+    """Merge client-supplied numbers over defaults. Returns (settings, error message)."""
+    settings = dict(defaults)
+    for key, (low, high) in bounds.items():
+        value = raw.get(key)
+        if value is None or value == '':
+            continue
+        kind = type(defaults[key])
+        try:
+            number = float(value)
+            if not math.isfinite(number):
+                raise ValueError(key)
+            value = kind(number)
+        except (TypeError, ValueError, OverflowError):
+            return None, f'{key} must be a number.'
+        if not low <= value <= high:
+            return None, f'{key} must be between {low} and {high}.'
+        settings[key] = value
+    return settings, None
+
+def parse_retrieval_settings(raw):
+    if raw is None:
+        return dict(RETRIEVAL_DEFAULTS), None
+    if not isinstance(raw, dict):
+        return None, 'retrieval must be an object.'
+
+    settings, error = parse_bounded(raw, RETRIEVAL_DEFAULTS, RETRIEVAL_BOUNDS)
+    if error:
+        return None, error
+    search_type = raw.get('search_type') or RETRIEVAL_DEFAULTS['search_type']
+    if search_type not in SEARCH_TYPES:
+        return None, f'search_type must be one of {", ".join(SEARCH_TYPES)}.'
+    settings['search_type'] = search_type
+    if search_type == 'mmr' and settings['fetch_k'] < settings['k']:
+        return None, 'fetch_k must be at least k.'
+    return settings, None
+
+def parse_search_filters(raw):
+    """Query-side filters: {'pages': [first, last], 'section': str, 'phrases': [str]}, all optional.
+    Returns (filters or None, error message)."""
+    if not raw:
+        return None, None
+    if not isinstance(raw, dict):
+        return None, 'filters must be an object.'
+
+    filters = {}
+    pages = raw.get('pages')
+    if pages is not None:
+        if not isinstance(pages, list) or len(pages) != 2:
+            return None, 'filters.pages must be [first, last].'
+        try:
+            first, last = int(pages[0]), int(pages[1])
+        except (TypeError, ValueError, OverflowError):
+            return None, 'filters.pages must be [first, last].'
+        if not 1 <= first <= last:
+            return None, 'filters.pages must be an ascending range starting at 1.'
+        filters['pages'] = [first, last]
+
+    section = raw.get('section')
+    if section:
+        if not isinstance(section, str) or len(section) > MAX_FILTER_CHARS:
+            return None, f'filters.section must be text of at most {MAX_FILTER_CHARS} characters.'
+        filters['section'] = section.strip()
 
-MAX_FILE_SIZE = 10 * 1024 * 1024  # 10MB
+    phrases = raw.get('phrases') or []
+    if (not isinstance(phrases, list) or len(phrases) > MAX_FILTER_PHRASES
+            or any(not isinstance(p, str) or not p.strip() or len(p) > MAX_FILTER_CHARS for p in phrases)):
+        return None, f'filters.phrases must be at most {MAX_FILTER_PHRASES} phrases of up to {MAX_FILTER_CHARS} characters.'
+    if phrases:
+        filters['phrases'] = [p.strip() for p in phrases]
+    return filters or None, None
+
+def parse_compare_sides(raw, documents):
+    """Two {'doc_id', 'pages', 'section'} objects -> ([(record, filters)] for side A and B, labels, error).
+    Either side may be any document in the collection, ticked or not."""
+    if not isinstance(raw, list) or len(raw) != 2 or not all(isinstance(side, dict) for side in raw):
+        return None, None, 'compare must list exactly two sides.'
+
+    sides, labels = [], []
+    for name, side in zip('AB', raw):
+        doc_id = side.get('doc_id')
+        record = documents.get(doc_id) if isinstance(doc_id, str) else None
+        if record is None:
+            return None, None, f'Side {name} must be a document in the collection.'
+        filters, error = parse_search_filters({key: side.get(key) for key in ('pages', 'section')})
+        if error:
+            return None, None, f'Side {name}: {error}'
+        if filters and filters.get('section') and not has_section_headings(record):
+            return None, None, (f'Side {name}: "{record["name"]}" has no section headings, '
+                                'so a section filter would match nothing. Use pages instead.')
+        label = f'"{record["name"]}"'
+        if filters and filters.get('pages'):
+            label += ' ' + span_label(loaders.unit_name(record['format']), *filters['pages'])
+        if filters and filters.get('section'):
+            label += f', sections matching "{filters["section"]}"'
+        sides.append((record, filters))
+        labels.append(label)
+    return sides, labels, None
+
+def parse_extraction_schema(raw):
+    """[{'name', 'type', 'description'}] -> (fields, error message). type defaults to text;
+    names must be unique ignoring case because they become the keys of every extracted row."""
+    if not isinstance(raw, list) or not raw:
+        return None, 'schema must list at least one field.'
+    if len(raw) > MAX_EXTRACT_FIELDS:
+        return None, f'schema may have at most {MAX_EXTRACT_FIELDS} fields.'
+
+    fields, seen = [], set()
+    for field in raw:
+        if not isinstance(field, dict):
+            return None, 'Every schema field must be an object.'
+        name = field.get('name')
+        name = name.strip() if isinstance(name, str) else ''
+        if not name or len(name) > MAX_FIELD_NAME_CHARS:
+            return None, f'Field names must be text of 1 to {MAX_FIELD_NAME_CHARS} characters.'
+        if name.lower() in seen:
+            return None, f'Field "{name}" is listed twice.'
+        kind = field.get('type') or 'text'
+        if kind not in EXTRACT_FIELD_TYPES:
+            return None, f'Field "{name}": type must be one of {", ".join(EXTRACT_FIELD_TYPES)}.'
+        description = field.get('description') or ''
+        if not isinstance(description, str) or len(description) > MAX_FILTER_CHARS:
+            return None, f'Field "{name}": description must be text of at most {MAX_FILTER_CHARS} characters.'
+        seen.add(name.lower())
+        fields.append({'name': name, 'type': kind, 'description': description.strip()})
+    return fields, None
+
+def parse_chunking_settings(form):
+    settings, error = parse_bounded(form, CHUNKING_DEFAULTS, CHUNKING_BOUNDS)
+    if error:
+        return None, error
+    if settings['chunk_overlap'] * 2 > settings['chunk_size']:
+        return None, 'chunk_overlap must be at most half of chunk_size.'
+    return settings, None
+
+def build_chat_history(raw_history):
+    """Turn the client's [{question, answer}] list into chat messages, oldest first."""
+    if not isinstance(raw_history, list):
+        return []
+
+    messages = []
+    for turn in raw_history[-MAX_HISTORY_TURNS:]:
+        if not isinstance(turn, dict):
+            continue
+        question = str(turn.get('question', '')).strip()
+        answer = str(turn.get('answer', '')).strip()
+        if question and answer:
+            messages.append(HumanMessage(content=question))
+            messages.append(AIMessage(content=answer))
+    return messages
 
 def load_resources():
-    global embeddings, llm
+    global embeddings, llm, embedding_info, llm_info
 
     if embeddings is None:
         try:
-            google_api_key = os.getenv("GOOGLE_API_KEY")
-            if not google_api_key:
-                raise ValueError("GOOGLE_API_KEY not found in environment.")
-
-            embeddings = GoogleGenerativeAIEmbeddings(
-                model="models/gemini-embedding-001",
-                google_api_key=google_api_key
-            )
-            print("✅ Google Gemini Embeddings loaded.")
+            embeddings, embedding_info = providers.create_embeddings()
+            print(f"✅ {embedding_info['provider']} embeddings loaded ({embedding_info['model']}).")
         except Exception as e:
             print(f"❌ Embeddings error: {e}")
 
     if llm is None:
         try:
-            api_key = os.getenv("GROQ_API_KEY")
-            if not api_key:
-                raise ValueError("GROQ_API_KEY not found in .env")
-
-            llm = ChatGroq(
-                temperature=0,
-                groq_api_key=api_key,
-                model_name="llama-3.3-70b-versatile" 
-            )
-            print("✅ Groq LLM initialized.")
+            llm, llm_info = providers.create_llm()
+            print(f"✅ {llm_info['provider']} LLM initialized ({llm_info['model']}).")
         except Exception as e:
             print(f"❌ LLM error: {e}")
 
 @app.route('/health', methods=['GET'])
 def health():
+    session = get_session(request.headers.get('X-Session-Id'))
     return jsonify({
         'status': 'ok',
-        'pdf_loaded': db is not None,
+        'pdf_loaded': bool(session and session['documents']),
         'embeddings_ready': embeddings is not None,
-        'llm_ready': llm is not None
+        'llm_ready': llm is not None,
+        'embeddings': embedding_info,
+        'llm': llm_info,
+        'max_upload_bytes': MAX_UPLOAD_BYTES,
+        'upload_part_size': UPLOAD_PART_SIZE
     }), 200
 
-@app.route('/upload_pdf', methods=['POST'])
-def upload_pdf():
-    global db
+@app.route('/session', methods=['POST'])
+def create_session():
+    purge_expired_sessions()
+    session_id = uuid.uuid4().hex
+    with sessions_lock:
+        sessions[session_id] = {'collection_name': 'My Collection', 'documents': {}, 'last_seen': time.time(),
+                                'lock': threading.Lock()}
 
-    if 'pdf' not in request.files:
-        return jsonify({'message': 'No PDF file provided'}), 400
+    return jsonify({'session_id': session_id, 'idle_timeout': SESSION_IDLE_SECONDS}), 201
 
-    file = request.files['pdf']
-    if not file or file.filename == '':
-        return jsonify({'message': 'No file selected'}), 400
+@app.route('/session', methods=['DELETE'])
+@require_session
+def end_session():
+    with sessions_lock:
+        sessions.pop(request.headers.get('X-Session-Id'), None)
+    return jsonify({'message': 'Session ended.'}), 200
 
-    if not file.filename.lower().endswith('.pdf'):
-        return jsonify({'message': 'Only PDF files are allowed.'}), 400
+@app.route('/collection', methods=['GET'])
+@require_session
+def get_collection():
+    return jsonify({
+        'name': g.session['collection_name'],
+        'documents': [describe_document(r) for r in g.session['documents'].values()]
+    }), 200
 
-    file.seek(0, 2)
-    file_size = file.tell()
-    file.seek(0)
+@app.route('/collection', methods=['POST'])
+@require_session
+def rename_collection():
+    data = request.get_json() or {}
+    name = str(data.get('name', '')).strip()
+    if not name:
+        return jsonify({'message': 'Collection name cannot be empty.'}), 400
 
-    if file_size > MAX_FILE_SIZE:
-        size_mb = round(file_size / (1024 * 1024), 1)
-        return jsonify({'message': f'File is {size_mb}MB — maximum is 10MB.'}), 400
+    g.session['collection_name'] = name[:80]
+    return jsonify({'name': g.session['collection_name']}), 200
 
-    temp_path = None
-    try:
-        if embeddings is None:
-            load_resources()
+@app.route('/collection/documents/<doc_id>', methods=['DELETE'])
+@require_session
+def remove_document(doc_id):
+    record = g.session['documents'].pop(doc_id, None)
+    if record is None:
+        return jsonify({'message': 'Document not found.'}), 404
+
+    return jsonify({'message': f'"{record["name"]}" removed from the collection.'}), 200
+
+@app.route('/documents', methods=['GET'])
+def list_documents():
+    library_id = current_library_id()
+    if not library_id:
+        return jsonify({'message': 'Missing or invalid X-Library-Id header.'}), 400
+
+    # Skip entries whose index has since been removed from disk
+    entries = [e for e in read_library(library_id) if os.path.exists(index_dir(e['hash']))]
+    return jsonify({'documents': entries}), 200
+
+@app.route('/documents/<doc_hash>/load', methods=['POST'])
+@require_session
+def load_document(doc_hash):
+    documents = g.session['documents']
+
+    entry = find_in_library(current_library_id(), doc_hash) if DOC_HASH_PATTERN.match(doc_hash) else None
+    if entry is None:
+        return jsonify({'message': 'Document not found in your library.'}), 404
+
+    if doc_hash in documents:
+        return jsonify({'message': f'"{entry["name"]}" is already in this collection.',
+                        'document': describe_document(documents[doc_hash])}), 200
 
+    if len(documents) >= MAX_DOCUMENTS:
+        return jsonify({'message': f'A collection holds at most {MAX_DOCUMENTS} documents. Remove one first.'}), 400
+
+    if embeddings is None:
+        load_resources()
         if embeddings is None:
-            return jsonify({'message': 'Embedding service unavailable. Check GOOGLE_API_KEY.'}), 500
+            return jsonify({'message': f'Embedding service unavailable. {providers.setup_hint("embeddings")}'}), 500
 
-        with tempfile.NamedTemporaryFile(delete=False, suffix=".pdf") as temp_file:
-            temp_path = temp_file.name
-            file.save(temp_path)
+    try:
+        loaded = load_index(doc_hash)
+    except Exception as e:
+        print(f"❌ Library load error: {e}")
+        loaded = None
+    if loaded is None:
+        return jsonify({'message': f'The saved index for "{entry["name"]}" is gone. Please upload the file again.'}), 410
+
+    db, meta = loaded
+    record = document_record(doc_hash, entry['name'], meta, db)
+    if not add_document(g.session, record):
+        return jsonify({'message': f'A collection holds at most {MAX_DOCUMENTS} documents. Remove one first.'}), 400
 
-        loader = PyPDFLoader(temp_path)
-        documents = loader.load()
+    return jsonify({'message': f'"{entry["name"]}" loaded from your library.', 'document': describe_document(record)}), 200
 
-        if not documents:
-            return jsonify({'message': 'Could not extract text from PDF. Is it scanned?'}), 400
+@app.route('/documents/<doc_hash>/file', methods=['GET'])
+def document_file(doc_hash):
+    if not DOC_HASH_PATTERN.match(doc_hash) or find_in_library(current_library_id(), doc_hash) is None:
+        return jsonify({'message': 'Document not found in your library.'}), 404
 
-        # Massive chunks to radically reduce the total chunk count
+    loaded_meta = os.path.join(index_dir(doc_hash), 'meta.json')
+    try:
+        with open(loaded_meta) as f:
+            fmt = json.load(f).get('format', 'pdf')
+    except (FileNotFoundError, json.JSONDecodeError):
+        fmt = 'pdf'
+
+    path = source_path(doc_hash, fmt)
+    if not os.path.exists(path):
+        return jsonify({'message': 'The original file is no longer stored.'}), 410
+    return send_file(os.path.abspath(path), mimetype=loaders.MIME_TYPES[fmt])
+
+class IngestCancelled(Exception):
+    pass
+
+def update_job(job, **fields):
+    job.update(fields, updated_at=time.time())
+
+def describe_job(job):
+    return {key: job[key] for key in ('id', 'status', 'stage', 'detail', 'progress', 'message', 'document', 'metrics')}
+
+def purge_finished_jobs():
+    cutoff = time.time() - JOB_RETENTION_SECONDS
+    with jobs_lock:
+        for job_id in [jid for jid, j in jobs.items() if j['status'] != 'running' and j['updated_at'] < cutoff]:
+            del jobs[job_id]
+
+INSIGHTS_PROMPT = ChatPromptTemplate.from_messages([
+    ("system", """
+    You are an expert document analyst. From the excerpts of the document "{filename}" below, return ONLY a JSON object:
+    {{"overview": "<3-4 sentence summary of what the document is and covers>",
+      "outline": ["<main section or topic>", ...],
+      "questions": ["<question a reader could ask>", ...]}}
+    The outline lists up to 12 main sections or topics in document order. Write 5 to 8 specific questions
+    that the excerpts can actually answer; never ask about things the text does not mention.
+
+    <excerpts>
+    {excerpts}
+    </excerpts>"""),
+])
+
+def sample_excerpts(chunks, limit):
+    """Evenly spaced chunks up to limit characters, so the overview sees the whole document."""
+    if not chunks:
+        return ''
+    per_chunk = max(len(chunk.page_content) for chunk in chunks)
+    count = max(1, min(len(chunks), limit // max(per_chunk, 1)))
+    step = len(chunks) / count
+    picked = [chunks[int(i * step)] for i in range(count)]
+    return "\n\n---\n\n".join(chunk.page_content for chunk in picked)[:limit]
+
+def parse_json_object(text):
+    """The first {...} object in a model reply, tolerating code fences and chatter around it."""
+    start, end = text.find('{'), text.rfind('}')
+    if start == -1 or end <= start:
+        return None
+    try:
+        value = json.loads(text[start:end + 1])
+    except json.JSONDecodeError:
+        return None
+    return value if isinstance(value, dict) else None
+
+def clean_strings(value, limit):
+    if not isinstance(value, list):
+        return []
+    return [str(item).strip() for item in value if str(item).strip()][:limit]
+
+def generate_insights(filename, pages, chunks):
+    """Overview, outline and suggested questions for a freshly embedded document, or None.
+    Headings found by the loader win over the model's outline; failures never fail the upload."""
+    headings = list(dict.fromkeys(page.metadata['section'] for page in pages if page.metadata.get('section')))
+
+    if llm is None:
+        load_resources()
+    if llm is None:
+        return {'overview': None, 'outline': headings[:MAX_OUTLINE_ITEMS], 'questions': []} if headings else None
+
+    try:
+        reply = llm.invoke(INSIGHTS_PROMPT.format_messages(
+            filename=filename, excerpts=sample_excerpts(chunks, INSIGHT_SAMPLE_CHARS)))
+        data = parse_json_object(reply.content) or {}
+    except Exception as e:
+        print(f"⚠️  Could not summarise {filename}: {e}")
+        data = {}
+
+    overview = str(data.get('overview') or '').strip() or None
+    outline = headings[:MAX_OUTLINE_ITEMS] or clean_strings(data.get('outline'), MAX_OUTLINE_ITEMS)
+    questions = clean_strings(data.get('questions'), 8)
+    if not (overview or outline or questions):
+        return None
+    return {'overview': overview, 'outline': outline, 'questions': questions}
+
+def run_ocr(job, pdf_path, pages, scanned):
+    """OCR the given page indexes in place and return the report stored with the index."""
+    def progress(done, total):
+        if job['cancel'].is_set():
+            raise IngestCancelled()
+        update_job(job, stage='ocr', detail=f'OCR page {done + 1}/{total}…', progress=5 + round(35 * done / total))
+
+    confidences = {}
+    for index, text, confidence in ocr.ocr_pages(pdf_path, scanned, on_page=progress):
+        pages[index].page_content = text
+        pages[index].metadata.update({'ocr': True, 'ocr_confidence': confidence})
+        confidences[index + 1] = confidence
+
+    read = {page: conf for page, conf in confidences.items() if not ocr.needs_ocr(pages[page - 1].page_content)}
+    print(f"🔍 OCR'd {len(read)}/{len(scanned)} scanned page(s)")
+    return {
+        'pages': sorted(read),
+        'skipped': sorted(set(confidences) - set(read)),  # still blank after OCR
+        'confidence': round(sum(read.values()) / len(read), 1) if read else None,
+        'low_confidence': sorted(page for page, conf in read.items() if conf < ocr.LOW_CONFIDENCE),
+        'unavailable': None
+    }
+
+def run_ingest_job(job, session, temp_path, filename, fmt, doc_id, library_id, chunking):
+    """Parse, chunk and embed one document in the background, reporting progress on the job."""
+    cancel = job['cancel']
+    unit = loaders.unit_name(fmt)
+    try:
+        update_job(job, stage='parsing', detail=f'Parsing {loaders.LABELS[fmt]}…', progress=5)
+        parse_started = time.time()
+        pages = loaders.load(temp_path, fmt)
+        parse_time = time.time() - parse_started
+        page_count = len(pages)
+
+        if not pages:
+            update_job(job, status='failed', message=f'No text found in "{filename}".')
+            return
+        if cancel.is_set():
+            raise IngestCancelled()
+
+        # PDF pages without a text layer are scans: read them with local OCR when we can
+        ocr_report = None
+        embed_progress = 10
+        scanned = [i for i, page in enumerate(pages) if ocr.needs_ocr(page.page_content)] if fmt == 'pdf' else []
+        if scanned:
+            reason = ocr.unavailable_reason()
+            if reason is None:
+                ocr_report = run_ocr(job, temp_path, pages, scanned)
+                embed_progress = 40
+            else:
+                print(f"⚠️  {len(scanned)} page(s) of {filename} need OCR: {reason}")
+                ocr_report = {'pages': [], 'skipped': [i + 1 for i in scanned], 'confidence': None,
+                              'low_confidence': [], 'unavailable': reason}
+
+        if fmt == 'pdf':
+            pages = [page for page in pages if not ocr.needs_ocr(page.page_content)]
+        if not pages:
+            reason = ocr_report and ocr_report.get('unavailable')
+            update_job(job, status='failed', message=f'Could not extract any text from the PDF. {reason or "The pages look blank."}')
+            return
+
+        update_job(job, stage='chunking', detail=f'Splitting {len(pages)} {unit}s into chunks…', progress=embed_progress)
         splitter = RecursiveCharacterTextSplitter(
-            chunk_size=4000,
-            chunk_overlap=400,
+            chunk_size=chunking['chunk_size'],
+            chunk_overlap=chunking['chunk_overlap'],
             separators=["\n\n", "\n", ". ", "! ", "? ", ", ", " ", ""]
         )
-        chunks = splitter.split_documents(documents)
+        chunks = splitter.split_documents(pages)
         total_chunks = len(chunks)
-        print(f"📄 {len(documents)} pages → {total_chunks} chunks")
+        print(f"📄 {page_count} {unit}s → {total_chunks} chunks")
+
+        for chunk in chunks:
+            chunk.metadata.update({'doc_id': doc_id, 'doc_name': filename, 'unit': unit})
 
         # Maximize batch size to process up to 90 chunks in a SINGLE request
         batch_size = 90
+        total_batches = (total_chunks + batch_size - 1) // batch_size
         db = None
+        embedding_time = 0.0  # time spent in embedding calls, not in rate-limit pauses
 
         for i in range(0, total_chunks, batch_size):
+            batch_num = i // batch_size + 1
+            update_job(job, stage='embedding', detail=f'Embedding batch {batch_num}/{total_batches}…',
+                       progress=embed_progress + round((90 - embed_progress) * (batch_num - 1) / total_batches))
+
             batch = chunks[i: i + batch_size]
+            batch_started = time.time()
             if db is None:
                 db = FAISS.from_documents(batch, embeddings)
             else:
                 db.add_documents(batch)
-
-            batch_num = i // batch_size + 1
-            total_batches = (total_chunks + batch_size - 1) // batch_size
+            embedding_time += time.time() - batch_started
             print(f"  Batch {batch_num}/{total_batches} embedded")
 
-            if i + batch_size < total_chunks:
-                time.sleep(2)
+            # Pause between batches for the embedding rate limit; a cancel cuts the wait short
+            paced = embedding_info['rate_limited'] and i + batch_size < total_chunks
+            if paced and cancel.wait(2):
+                raise IngestCancelled()
+            if cancel.is_set():
+                raise IngestCancelled()
+
+        update_job(job, stage='summarising', detail='Writing an overview and suggested questions…', progress=91)
+        insights_started = time.time()
+        insights = generate_insights(filename, pages, chunks)
+        insights_time = time.time() - insights_started
+        if cancel.is_set():
+            raise IngestCancelled()
+
+        update_job(job, stage='saving', detail='Saving index…', progress=95)
+        meta = {'format': fmt, 'pages': page_count, 'chunks': total_chunks, 'chunking': chunking, 'ocr': ocr_report,
+                'insights': insights}
+        record = document_record(doc_id, filename, meta, db)
+        added = add_document(session, record, cancel)
+        if not added and cancel.is_set():
+            raise IngestCancelled()
+
+        saved = False
+        try:
+            save_index(doc_id, db, meta, temp_path)
+            add_to_library(library_id, library_entry(doc_id, filename, meta))
+            saved = True
+        except OSError as e:
+            # A full or read-only disk only costs us the cache, not the upload
+            print(f"⚠️  Could not save index to library: {e}")
+
+        if not added:
+            # Other uploads filled the collection while this one was embedding
+            later = ' It was saved to your library — load it from there.' if saved else ''
+            update_job(job, status='failed',
+                       message=f'A collection holds at most {MAX_DOCUMENTS} documents. Remove one first.{later}')
+            return
+
+        metrics = {'parse_time': round(parse_time, 2), 'embedding_time': round(embedding_time, 2),
+                   'insights_time': round(insights_time, 2), 'batches': total_batches,
+                   'embedding_model': embedding_info['model']}
+        print(f"⏱️  {filename}: parsed in {metrics['parse_time']}s, embedded in {metrics['embedding_time']}s")
+        update_job(job, status='done', stage='done', detail='Done', progress=100,
+                   message=f'"{filename}" embedded successfully!', document=describe_document(record), metrics=metrics)
+
+    except IngestCancelled:
+        print(f"🛑 Upload of {filename} cancelled")
+        update_job(job, status='cancelled', message=f'Upload of "{filename}" was cancelled.')
+    except Exception as e:
+        print(f"❌ Upload error: {e}")
+        update_job(job, status='failed', message=f'Processing failed during {job["stage"]}: {str(e)}')
+    finally:
+        if os.path.exists(temp_path):
+            os.remove(temp_path)
+
+def add_document(session, record, cancel=None):
+    """Put record in the session's collection; False when the collection is full or the job
+    adding it was cancelled. Jobs and library loads add concurrently, so the cap is
+    re-checked under the session's lock at the moment of insertion."""
+    with session['lock']:
+        documents = session['documents']
+        if cancel is not None and cancel.is_set():
+            return False
+        if record['id'] not in documents and len(documents) >= MAX_DOCUMENTS:
+            return False
+        documents[record['id']] = record
+        return True
+
+def ingest_file(temp_path, filename, fmt, chunking, doc_id, upload_id=None):
+    """Add a file saved at temp_path to the caller's collection: reuse a saved index or hand
+    it to a background embedding job. Returns (response, status, handed_off); once handed
+    off, the job owns temp_path and deletes it."""
+    documents = g.session['documents']
 
+    if doc_id in documents:
+        if documents[doc_id]['chunking'] != chunking:
+            return jsonify({'message': f'"{filename}" is already in this collection with different chunking. '
+                                       'Remove it first to re-chunk it.'}), 409, False
+        return jsonify({'message': f'"{filename}" is already in this collection.',
+                        'document': describe_document(documents[doc_id])}), 200, False
+
+    # Same bytes embedded before (by anyone) with the same chunking — reuse the saved
+    # index instead of re-embedding. Other chunking re-embeds and replaces it.
+    loaded = load_index(doc_id)
+    if loaded is not None and loaded[1].get('chunking', CHUNKING_DEFAULTS) == chunking:
+        db, meta = loaded
+        record = document_record(doc_id, filename, meta, db)
+        if not add_document(g.session, record):
+            return jsonify({'message': f'A collection holds at most {MAX_DOCUMENTS} documents. '
+                                       'Remove one first.'}), 400, False
+        add_to_library(current_library_id(), library_entry(doc_id, filename, meta))
+        print(f"♻️  Reused saved index for {filename}")
         return jsonify({
-            'message': f'"{file.filename}" embedded successfully!',
-            'chunks': total_chunks,
-            'pages': len(documents)
-        }), 200
+            'message': f'"{filename}" loaded from the library — no re-embedding needed.',
+            'document': describe_document(record),
+            'collection': g.session['collection_name'],
+            'cached': True,
+            'chunks': meta['chunks'],
+            'pages': meta['pages']
+        }), 200, False
+
+    # Embedding can take minutes: hand it to a background job the client polls
+    purge_finished_jobs()
+    job = {
+        'id': uuid.uuid4().hex, 'session_id': request.headers.get('X-Session-Id'), 'upload_id': upload_id,
+        'status': 'running', 'stage': 'queued', 'detail': 'Queued…', 'progress': 0,
+        'message': '', 'document': None, 'metrics': None, 'cancel': threading.Event(), 'updated_at': time.time()
+    }
+    with jobs_lock:
+        jobs[job['id']] = job
+
+    threading.Thread(
+        target=run_ingest_job,
+        args=(job, g.session, temp_path, filename, fmt, doc_id, current_library_id(), chunking),
+        daemon=True
+    ).start()
+
+    return jsonify({'job_id': job['id'], 'job': describe_job(job)}), 202, True
+
+def too_large_message(size):
+    return f'File is {round(size / (1024 * 1024), 1)}MB — maximum is {MAX_UPLOAD_MB}MB.'
+
+def check_ingest_ready():
+    """An error response when nothing more may be added to the collection, else None."""
+    if len(g.session['documents']) >= MAX_DOCUMENTS:
+        return jsonify({'message': f'A collection holds at most {MAX_DOCUMENTS} documents. Remove one first.'}), 400
+    if embeddings is None:
+        load_resources()
+    if embeddings is None:
+        return jsonify({'message': f'Embedding service unavailable. {providers.setup_hint("embeddings")}'}), 500
+    return None
+
+def apply_collection_name(name):
+    name = (name or '').strip()
+    if name:
+        g.session['collection_name'] = name[:80]
+
+@app.route('/upload_pdf', methods=['POST'])
+@require_session
+def upload_pdf():
+    # 'pdf' is the field name older clients still send
+    file = request.files.get('file') or request.files.get('pdf')
+    if file is None:
+        return jsonify({'message': 'No file provided'}), 400
+    if file.filename == '':
+        return jsonify({'message': 'No file selected'}), 400
+
+    fmt = loaders.detect_format(file.filename)
+    if fmt is None:
+        return jsonify({'message': f'Unsupported file type. Upload one of: {loaders.supported_list()}.'}), 400
+
+    file.seek(0, 2)
+    file_size = file.tell()
+    file.seek(0)
+
+    if file_size > MAX_UPLOAD_BYTES:
+        return jsonify({'message': too_large_message(file_size)}), 400
+
+    chunking, error = parse_chunking_settings(request.form)
+    if error:
+        return jsonify({'message': error}), 400
+
+    temp_path = None
+    handed_off = False
+    try:
+        not_ready = check_ingest_ready()
+        if not_ready:
+            return not_ready
+        apply_collection_name(request.form.get('collection'))
+
+        with tempfile.NamedTemporaryFile(delete=False, suffix=loaders.EXTENSIONS[fmt]) as temp_file:
+            temp_path = temp_file.name
+            file.save(temp_path)
+
+        body, status, handed_off = ingest_file(temp_path, file.filename, fmt, chunking, file_sha256(temp_path))
+        return body, status
+
+    except Exception as e:
+        print(f"❌ Upload error: {e}")
+        return jsonify({'message': f'Processing failed: {str(e)}'}), 500
+    finally:
+        if not handed_off and temp_path and os.path.exists(temp_path):
+            os.remove(temp_path)
+
+# Chunked, resumable uploads: POST /uploads opens one, PUT /uploads/<id>/parts/<n>
+# stores a part (idempotent, so a client simply re-sends whatever didn't arrive),
+# GET /uploads/<id> reports which parts the server holds, and
+# POST /uploads/<id>/complete assembles them and joins the normal ingestion path.
+
+def describe_upload(upload):
+    return {
+        'upload_id': upload['id'],
+        'filename': upload['filename'],
+        'size': upload['size'],
+        'part_size': upload['part_size'],
+        'parts': upload['parts'],
+        'received': sorted(upload['received']),
+        'received_bytes': sum(part_length(upload, i) for i in upload['received'])
+    }
+
+def part_length(upload, index):
+    return min(upload['part_size'], upload['size'] - index * upload['part_size'])
+
+def discard_upload(upload):
+    with uploads_lock:
+        uploads.pop(upload['id'], None)
+    shutil.rmtree(upload['dir'], ignore_errors=True)
+
+def purge_stale_uploads():
+    cutoff = time.time() - UPLOAD_RETENTION_SECONDS
+    with uploads_lock:
+        stale = [u for u in uploads.values() if u['updated_at'] < cutoff]
+    for upload in stale:
+        discard_upload(upload)
+
+def find_upload(upload_id):
+    """The caller's own upload, or None — uploads are never visible across sessions."""
+    upload = uploads.get(upload_id)
+    if upload is None or upload['session_id'] != request.headers.get('X-Session-Id'):
+        return None
+    return upload
+
+@app.route('/uploads', methods=['POST'])
+@require_session
+def create_upload():
+    data = request.get_json(silent=True) or {}
+    filename = str(data.get('filename', '')).strip()
+    size = data.get('size')
+
+    if not filename:
+        return jsonify({'message': 'No file selected'}), 400
+    fmt = loaders.detect_format(filename)
+    if fmt is None:
+        return jsonify({'message': f'Unsupported file type. Upload one of: {loaders.supported_list()}.'}), 400
+    if not isinstance(size, int) or isinstance(size, bool) or size <= 0:
+        return jsonify({'message': 'size must be the file size in bytes.'}), 400
+    if size > MAX_UPLOAD_BYTES:
+        return jsonify({'message': too_large_message(size)}), 400
+    if len(g.session['documents']) >= MAX_DOCUMENTS:
+        return jsonify({'message': f'A collection holds at most {MAX_DOCUMENTS} documents. Remove one first.'}), 400
+
+    purge_stale_uploads()
+    upload_id = uuid.uuid4().hex
+    upload = {
+        'id': upload_id, 'session_id': request.headers.get('X-Session-Id'),
+        'filename': filename, 'format': fmt, 'size': size, 'part_size': UPLOAD_PART_SIZE,
+        'parts': math.ceil(size / UPLOAD_PART_SIZE), 'received': set(),
+        'dir': os.path.join(UPLOAD_DIR, upload_id), 'updated_at': time.time()
+    }
+    os.makedirs(upload['dir'], exist_ok=True)
+    with uploads_lock:
+        uploads[upload_id] = upload
+
+    print(f"📦 Upload {upload_id[:8]} opened: {filename} ({size} bytes, {upload['parts']} parts)")
+    return jsonify(describe_upload(upload)), 201
+
+@app.route('/uploads/<upload_id>', methods=['GET'])
+@require_session
+def upload_status(upload_id):
+    upload = find_upload(upload_id)
+    if upload is None:
+        return jsonify({'message': 'Upload not found. It may have expired — please start again.'}), 404
+    return jsonify(describe_upload(upload)), 200
+
+def read_body(limit):
+    """Up to limit bytes of the request body; the stream may hand them over in pieces."""
+    pieces, size = [], 0
+    while size < limit:
+        piece = request.stream.read(limit - size)
+        if not piece:
+            break
+        pieces.append(piece)
+        size += len(piece)
+    return b''.join(pieces)
+
+@app.route('/uploads/<upload_id>/parts/<int:index>', methods=['PUT'])
+@require_session
+def upload_part(upload_id, index):
+    upload = find_upload(upload_id)
+    if upload is None:
+        return jsonify({'message': 'Upload not found. It may have expired — please start again.'}), 404
+    if not 0 <= index < upload['parts']:
+        return jsonify({'message': f'Part {index} is out of range (0–{upload["parts"] - 1}).'}), 400
+
+    # A wrong declared size is refused before anything is read; without a Content-Length
+    # the body is read no further than one byte past the expected size
+    expected = part_length(upload, index)
+    if request.content_length is not None and request.content_length != expected:
+        return jsonify({'message': f'Part {index} should be {expected} bytes, got {request.content_length}.'}), 400
+    body = read_body(expected + 1)
+    if len(body) != expected:
+        return jsonify({'message': f'Part {index} should be {expected} bytes, got {"more" if len(body) > expected else len(body)}.'}), 400
+
+    # Optional per-part checksum from the client catches corruption before assembly
+    declared = request.headers.get('X-Part-Sha256')
+    if declared and hashlib.sha256(body).hexdigest() != declared.strip().lower():
+        return jsonify({'message': f'Part {index} was corrupted in transit. Please retry.',
+                        'code': 'checksum_mismatch'}), 422
+
+    path = os.path.join(upload['dir'], f'{index:06d}.part')
+    with open(path + '.tmp', 'wb') as f:
+        f.write(body)
+    os.replace(path + '.tmp', path)
+    upload['received'].add(index)
+    upload['updated_at'] = time.time()
+    return jsonify(describe_upload(upload)), 200
+
+@app.route('/uploads/<upload_id>', methods=['DELETE'])
+@require_session
+def abort_upload(upload_id):
+    upload = find_upload(upload_id)
+    if upload is None:
+        # Already completed: a client that gave up waiting on /complete never learnt the
+        # job id, so cancel the job this upload started instead
+        session_id = request.headers.get('X-Session-Id')
+        job = next((j for j in list(jobs.values())
+                    if j['upload_id'] == upload_id and j['session_id'] == session_id), None)
+        if job is None:
+            return jsonify({'message': 'Upload not found.'}), 404
+        if job['status'] == 'running':
+            job['cancel'].set()
+            update_job(job, detail='Cancelling…')
+        return jsonify({'message': f'Upload job {job["id"][:8]} cancelled.'}), 200
+    discard_upload(upload)
+    return jsonify({'message': f'Upload of "{upload["filename"]}" discarded.'}), 200
+
+@app.route('/uploads/<upload_id>/complete', methods=['POST'])
+@require_session
+def complete_upload(upload_id):
+    upload = find_upload(upload_id)
+    if upload is None:
+        return jsonify({'message': 'Upload not found. It may have expired — please start again.'}), 404
+
+    missing = [i for i in range(upload['parts']) if i not in upload['received']]
+    if missing:
+        return jsonify({'message': f'{len(missing)} part(s) have not arrived yet.', 'missing': missing}), 409
+
+    data = request.get_json(silent=True) or {}
+    chunking, error = parse_chunking_settings(data)
+    if error:
+        return jsonify({'message': error}), 400
+
+    temp_path = None
+    handed_off = False
+    try:
+        not_ready = check_ingest_ready()
+        if not_ready:
+            return not_ready
+        apply_collection_name(data.get('collection'))
+
+        # Assemble the parts in order, hashing as we go; the hash is the document id
+        digest = hashlib.sha256()
+        with tempfile.NamedTemporaryFile(delete=False, suffix=loaders.EXTENSIONS[upload['format']]) as temp_file:
+            temp_path = temp_file.name
+            for index in range(upload['parts']):
+                with open(os.path.join(upload['dir'], f'{index:06d}.part'), 'rb') as part:
+                    for block in iter(lambda: part.read(1024 * 1024), b''):
+                        digest.update(block)
+                        temp_file.write(block)
+            assembled = temp_file.tell()
+
+        if assembled != upload['size']:
+            return jsonify({'message': f'Assembled file is {assembled} bytes, expected {upload["size"]}. '
+                                       'Please upload it again.'}), 422
+        discard_upload(upload)
+        print(f"📦 Upload {upload_id[:8]} assembled: {upload['filename']}")
+
+        body, status, handed_off = ingest_file(temp_path, upload['filename'], upload['format'], chunking,
+                                                digest.hexdigest(), upload_id)
+        return body, status
 
     except Exception as e:
         print(f"❌ Upload error: {e}")
-        db = None  
         return jsonify({'message': f'Processing failed: {str(e)}'}), 500
     finally:
-        if temp_path and os.path.exists(temp_path):
+        if not handed_off and temp_path and os.path.exists(temp_path):
             os.remove(temp_path)
 
+def find_job(job_id):
+    """The caller's own job, or None — jobs are never visible across sessions."""
+    job = jobs.get(job_id)
+    if job is None or job['session_id'] != request.headers.get('X-Session-Id'):
+        return None
+    return job
+
+@app.route('/jobs/<job_id>', methods=['GET'])
+@require_session
+def job_status(job_id):
+    job = find_job(job_id)
+    if job is None:
+        return jsonify({'message': 'Upload job not found.'}), 404
+    return jsonify(describe_job(job)), 200
+
+@app.route('/jobs/<job_id>', methods=['DELETE'])
+@require_session
+def cancel_job(job_id):
+    job = find_job(job_id)
+    if job is None:
+        return jsonify({'message': 'Upload job not found.'}), 404
+
+    if job['status'] == 'running':
+        job['cancel'].set()
+        update_job(job, detail='Cancelling…')
+    return jsonify(describe_job(job)), 200
+
+class ScoredRetriever(BaseRetriever):
+    """MMR, plain similarity or hybrid (BM25 + vector) search over one or more document
+    indexes that keeps each chunk's relevance score and citation number in its metadata."""
+    vectorstores: list[Any]
+    keyword_indexes: list[Any] = []  # search.KeywordIndex per store, hybrid search only
+    search_type: str = 'mmr'
+    search_kwargs: dict = {}
+    filters: Optional[dict] = None  # parsed by parse_search_filters
+    trace: Optional[dict] = None  # when set, filled with the query and full candidate pool
+
+    def _rank_store(self, store, keywords, embedding, query):
+        """Every chunk of one index that passes the filters, best first, as
+        (score, doc, vector score, keyword score or None, FAISS position)."""
+        # Indexes are flat, so FAISS compares against every vector anyway; scoring the whole
+        # store lets filters and keyword matches reach chunks beyond the nearest fetch_k
+        query_vector = np.array([embedding], dtype=np.float32)
+        if store._normalize_L2:
+            faiss.normalize_L2(query_vector)
+        distances, positions = store.index.search(query_vector, store.index.ntotal)
+        to_relevance = store._select_relevance_score_fn()
+        keep = search.matcher(self.filters)
+
+        chunks = []
+        for distance, position in zip(distances[0], positions[0]):
+            if position == -1:
+                continue
+            doc = store.docstore.search(store.index_to_docstore_id[int(position)])
+            if keep and not keep(doc):
+                continue
+            chunks.append((min(max(float(to_relevance(distance)), 0.0), 1.0), doc, int(position)))
+
+        if keywords is None:
+            return [(vector, doc, vector, None, position) for vector, doc, position in chunks]
+
+        # BM25 is unbounded; scale it to 0-1 against the best surviving chunk before fusing
+        raw = keywords.scores(query)
+        top = max((raw[position] for _, _, position in chunks), default=0) or 1
+        weight = self.search_kwargs['keyword_weight']
+        ranked = []
+        for vector, doc, position in chunks:
+            keyword = raw[position] / top
+            ranked.append(((1 - weight) * vector + weight * keyword, doc, vector, keyword, position))
+        ranked.sort(key=lambda chunk: chunk[0], reverse=True)
+        return ranked
+
+    def _get_relevant_documents(self, query, *, run_manager):
+        # Every index shares the same embedding model, so embed the query once
+        embedding = self.vectorstores[0].embeddings.embed_query(query)
+        k = self.search_kwargs['k']
+        keyword_indexes = self.keyword_indexes or [None] * len(self.vectorstores)
+
+        scored = []
+        candidates = []
+        for store, keywords in zip(self.vectorstores, keyword_indexes):
+            ranked = self._rank_store(store, keywords, embedding, query)
+            if self.search_type == 'mmr':
+                pool = ranked[:self.search_kwargs['fetch_k']]
+                picks = maximal_marginal_relevance(
+                    np.array([embedding], dtype=np.float32),
+                    [store.index.reconstruct(chunk[4]) for chunk in pool],
+                    lambda_mult=self.search_kwargs['lambda_mult'], k=min(k, len(pool))
+                )
+                hits = [pool[i] for i in picks]
+            else:
+                pool = hits = ranked[:k]
+            scored += hits
+
+            if self.trace is not None:
+                kept = {chunk_key(chunk[1]) for chunk in hits}
+                candidates += [(chunk, chunk_key(chunk[1]) in kept) for chunk in pool]
+
+        # Each index contributes its own picks; keep the best k across all of them
+        scored.sort(key=lambda chunk: chunk[0], reverse=True)
+        docs = []
+        for rank, (score, doc, *_) in enumerate(scored[:k], start=1):
+            docs.append(Document(page_content=doc.page_content, metadata={
+                **doc.metadata,
+                'source_id': rank,
+                'page_number': doc.metadata.get('page', 0) + 1,  # loaders number pages/sections from 0
+                'location': describe_location(doc.metadata),
+                'score': round(score, 3)
+            }))
+
+        if self.trace is not None:
+            sent = {chunk_key(doc): doc.metadata['source_id'] for doc in docs}
+            candidates.sort(key=lambda c: c[0][0], reverse=True)
+            self.trace['search_query'] = query
+            self.trace['search_type'] = self.search_type
+            self.trace['candidates'] = [{
+                'rank': rank,
+                'doc_id': doc.metadata.get('doc_id'),
+                'doc_name': doc.metadata.get('doc_name'),
+                'page': doc.metadata.get('page', 0) + 1,
+                'location': describe_location(doc.metadata),
+                'score': round(score, 3),
+                'vector_score': round(vector, 3),
+                'keyword_score': None if keyword is None else round(keyword, 3),
+                'kept': kept,
+                'source_id': sent.get(chunk_key(doc)),
+                'snippet': ' '.join(doc.page_content.split())[:SNIPPET_CHARS]
+            } for rank, ((score, doc, vector, keyword, _), kept) in enumerate(candidates, start=1)]
+        return docs
+
+def describe_location(metadata):
+    """'page 3' for PDFs, 'section 3 (Heading)' for every other format."""
+    number = metadata.get('page', 0) + 1
+    if metadata.get('unit', 'page') == 'page':
+        return f"page {number}"
+    section = metadata.get('section')
+    return f"section {number} ({section})" if section else f"section {number}"
+
+def chunk_key(doc):
+    return (doc.metadata.get('doc_id'), doc.metadata.get('page'), doc.page_content)
+
+def serialize_sources(docs):
+    return [{
+        'id': doc.metadata.get('source_id', i),
+        'doc_id': doc.metadata.get('doc_id'),
+        'doc_name': doc.metadata.get('doc_name'),
+        'page': doc.metadata.get('page_number'),
+        'unit': doc.metadata.get('unit', 'page'),
+        'section': doc.metadata.get('section'),
+        'side': doc.metadata.get('side'),
+        'score': doc.metadata.get('score'),
+        'ocr': bool(doc.metadata.get('ocr')),
+        'snippet': ' '.join(doc.page_content.split())[:SNIPPET_CHARS],
+        'text': doc.page_content
+    } for i, doc in enumerate(docs, start=1)]
+
+ANSWER_PROMPT = ChatPromptTemplate.from_messages([
+    ("system", """
+    You are an expert document analyst. Answer the question using ONLY the provided context.
+    Be accurate, concise, and well-structured. Use bullet points or numbered lists when helpful.
+    Earlier turns of the conversation are included so follow-up questions can refer back to them.
+    Each context passage is labelled with a source number and the document it comes from; cite the passages
+    you rely on inline as [1], [2], etc. When several documents are involved, name the document each claim comes from.
+    If the answer is not in the context, say: "This information is not available in the provided document."
+
+    <context>
+    {context}
+    </context>"""),
+    MessagesPlaceholder("chat_history"),
+    ("human", "{input}"),
+])
+
+DOCUMENT_PROMPT = PromptTemplate.from_template("[{source_id}] ({doc_name}, {location})\n{page_content}")
+
+SIMPLE_PROMPT = ChatPromptTemplate.from_messages([
+    ("system", """
+    You explain documents to readers with no background in the subject. Answer the question using ONLY the
+    provided context, in plain language: short sentences, everyday words, and a one-line definition for any
+    technical term you cannot avoid. A short everyday example or analogy is welcome when it helps.
+    Cite the passages you rely on inline as [1], [2], etc.
+    If the answer is not in the context, say: "This information is not available in the provided document."
+
+    <context>
+    {context}
+    </context>"""),
+    MessagesPlaceholder("chat_history"),
+    ("human", "{input}"),
+])
+
+TABLE_PROMPT = ChatPromptTemplate.from_messages([
+    ("system", """
+    You extract structured data from documents. Put the information the user asks for into ONE markdown table
+    (a header row, a separator row, then one row per item) using ONLY the provided context. Choose short,
+    clear column headers, keep one value per cell and end every row with a Source column holding the [n]
+    citation of the passage it came from. Leave a cell empty when the context does not state the value;
+    never guess. After the table, add at most one sentence about anything that could not be found.
+    If nothing relevant is in the context, say: "This information is not available in the provided document."
+
+    <context>
+    {context}
+    </context>"""),
+    MessagesPlaceholder("chat_history"),
+    ("human", "{input}"),
+])
+
+COMPARE_PROMPT = ChatPromptTemplate.from_messages([
+    ("system", """
+    You compare two parts of a document collection using ONLY the provided context.
+    Side A is {side_a}. Side B is {side_b}. Every passage is labelled with its side and a source number.
+    Start with a markdown table with the columns Aspect | Side A | Side B covering what the user asks about,
+    or the main topics both sides deal with when the request is general. Cite passages inline as [1], [2], etc.
+    and write "Not stated" where a side says nothing about an aspect. Follow the table with a short bulleted
+    list of the most important similarities and differences.
+
+    <context>
+    {context}
+    </context>"""),
+    MessagesPlaceholder("chat_history"),
+    ("human", "{input}"),
+])
+
+COMPARE_DOCUMENT_PROMPT = PromptTemplate.from_template(
+    "[{source_id}] Side {side} ({doc_name}, {location})\n{page_content}")
+
+SUMMARY_MAP_PROMPT = ChatPromptTemplate.from_messages([
+    ("system", """
+    Summarise this part of "{doc_name}" ({location}) in 4 to 8 bullet points. Keep the key facts, figures,
+    names, definitions and conclusions, in the order they appear. {focus}
+
+    <text>
+    {text}
+    </text>"""),
+])
+
+SUMMARY_PROMPT = ChatPromptTemplate.from_messages([
+    ("system", """
+    You are an expert document analyst. Below are summaries of consecutive parts of the selected documents,
+    each labelled with a source number and the pages or sections it covers. Write a summary of the whole:
+    a short overview paragraph, then headed sections following the documents' own order, then the key
+    takeaways. Cite the parts you draw on inline as [1], [2], etc. If the user asks for a particular focus
+    or format, follow it.
+
+    <context>
+    {context}
+    </context>"""),
+    MessagesPlaceholder("chat_history"),
+    ("human", "{input}"),
+])
+
+EXTRACT_PROMPT = ChatPromptTemplate.from_messages([
+    ("system", """
+    You fill in a schema of fields for the document "{doc_name}" using ONLY the numbered passages below.
+    Fields to extract, as "name" (type): description
+    {fields}
+
+    Reply with one JSON object and nothing else. Give it a key for every field name above, spelled exactly as
+    listed, whose value is {{"value": ..., "source": <number of the passage the value comes from>}}.
+    A text value is a string, a number is a plain number without units or thousands separators, a date is
+    YYYY-MM-DD (or YYYY-MM or YYYY when that is all the passage gives), a boolean is true or false and a list
+    is an array of strings. When the passages do not state a field, use {{"value": null, "source": null}};
+    never guess. The user's request, which may add instructions: {request}
+
+    <context>
+    {context}
+    </context>"""),
+])
+
+# Answer modes selectable per /ask_pdf request -> (answer prompt, passage template).
+# Extraction replies are JSON rows rather than prose, so the 'extract' mode has its own
+# pipeline (stream_extraction) instead of an entry here
+MODE_PROMPTS = {
+    'answer': (ANSWER_PROMPT, DOCUMENT_PROMPT),
+    'summary': (SUMMARY_PROMPT, DOCUMENT_PROMPT),
+    'table': (TABLE_PROMPT, DOCUMENT_PROMPT),
+    'compare': (COMPARE_PROMPT, COMPARE_DOCUMENT_PROMPT),
+    'simple': (SIMPLE_PROMPT, DOCUMENT_PROMPT),
+}
+
+def document_chunks(record):
+    """A document's chunks in FAISS order, which is reading order."""
+    store = record['db']
+    return [store.docstore.search(store.index_to_docstore_id[i]) for i in range(store.index.ntotal)]
+
+def has_section_headings(record):
+    """Whether any chunk carries a heading; PDF pages and unstructured text never do,
+    so a section filter on them could only ever match nothing."""
+    return any(chunk.metadata.get('section') for chunk in document_chunks(record))
+
+def keyword_index(record):
+    """BM25 over a document's chunks in FAISS order, built on its first hybrid query."""
+    if record.get('keywords') is None:
+        record['keywords'] = search.KeywordIndex([chunk.page_content for chunk in document_chunks(record)])
+    return record['keywords']
+
+def build_retriever(records, retrieval, filters=None, trace=None):
+    return ScoredRetriever(
+        vectorstores=[r['db'] for r in records],
+        keyword_indexes=[keyword_index(r) for r in records] if retrieval['search_type'] == 'hybrid' else [],
+        search_type=retrieval['search_type'],
+        search_kwargs={key: retrieval[key] for key in ('k', 'fetch_k', 'lambda_mult', 'keyword_weight')},
+        filters=filters,
+        trace=trace
+    )
+
+def build_retrieval_chain(records, retrieval, trace=None, prompt=ANSWER_PROMPT):
+    document_chain = create_stuff_documents_chain(llm, prompt, document_prompt=DOCUMENT_PROMPT)
+    retriever = build_retriever(records, retrieval, retrieval.get('filters'), trace)
+
+    # Follow-ups like "expand on point 2" are rewritten into a standalone
+    # question before retrieval; with no history the query is used as-is.
+    rephrase_prompt = ChatPromptTemplate.from_messages([
+        MessagesPlaceholder("chat_history"),
+        ("human", "{input}"),
+        ("human", "Given the conversation above, rewrite the last question as a standalone search query "
+                  "about the document. Return only the rewritten query."),
+    ])
+    history_retriever = create_history_aware_retriever(llm, retriever, rephrase_prompt)
+    return create_retrieval_chain(history_retriever, document_chain)
+
+def span_label(unit, first, last):
+    return f"{unit} {first}" if first == last else f"{unit}s {first}–{last}"
+
+def summary_batches(records):
+    """Consecutive chunks of each document grouped for the map step, at most SUMMARY_BATCH_CHARS
+    each (chunks are never larger); no batch spans two documents."""
+    batches = []
+    for record in records:
+        current, size = [], 0
+        for chunk in document_chunks(record):
+            if current and size + len(chunk.page_content) > SUMMARY_BATCH_CHARS:
+                batches.append((record, current))
+                current, size = [], 0
+            current.append(chunk)
+            size += len(chunk.page_content)
+        if current:
+            batches.append((record, current))
+    return batches
+
+def summarise_parts(records, focus, config):
+    """Map step of a whole-document summary: a summary Document per batch of chunks, merged
+    pairwise and summarised again while they would not fit comfortably in one reduce prompt."""
+    def condense(parts):
+        prompts = [SUMMARY_MAP_PROMPT.format_messages(
+            doc_name=part.metadata['doc_name'], location=part.metadata['location'], text=part.page_content,
+            focus=f"Pay particular attention to anything relevant to: {focus}" if focus else ''
+        ) for part in parts]
+        replies = llm.batch(prompts, config={**config, 'max_concurrency': SUMMARY_CONCURRENCY})
+        return [Document(page_content=reply.content, metadata=part.metadata) for part, reply in zip(parts, replies)]
+
+    parts = []
+    for record, chunks in summary_batches(records):
+        unit = chunks[0].metadata.get('unit', 'page')
+        first, last = chunks[0].metadata.get('page', 0) + 1, chunks[-1].metadata.get('page', 0) + 1
+        parts.append(Document(page_content="\n\n".join(chunk.page_content for chunk in chunks), metadata={
+            'doc_id': record['id'], 'doc_name': record['name'], 'unit': unit,
+            'page': first - 1, 'location': span_label(unit, first, last)
+        }))
+    summaries = condense(parts)
+
+    while len(summaries) > 1 and sum(len(s.page_content) for s in summaries) > SUMMARY_BATCH_CHARS:
+        merged = []
+        for left, right in zip(summaries[::2], summaries[1::2] + [None]):
+            if right is None:
+                merged.append(left)
+                continue
+            same_doc = left.metadata['doc_id'] == right.metadata['doc_id']
+            merged.append(Document(page_content=f"{left.page_content}\n\n{right.page_content}", metadata={
+                **left.metadata,
+                'doc_name': left.metadata['doc_name'] if same_doc else f"{left.metadata['doc_name']}, {right.metadata['doc_name']}",
+                'location': (f"{left.metadata['location']} to {right.metadata['location']}" if same_doc
+                             else f"{left.metadata['location']} to {right.metadata['doc_name']} {right.metadata['location']}")
+            }))
+        summaries = condense(merged)
+
+    return [Document(page_content=summary.page_content, metadata={
+        **summary.metadata, 'source_id': i, 'page_number': summary.metadata['page'] + 1
+    }) for i, summary in enumerate(summaries, start=1)]
+
+def build_summary_chain(records):
+    """Map-reduce over every chunk of the selected documents instead of the top-k passages."""
+    def map_step(inputs, config):
+        return summarise_parts(records, inputs['input'], config)
+
+    document_chain = create_stuff_documents_chain(llm, SUMMARY_PROMPT, document_prompt=DOCUMENT_PROMPT)
+    return RunnablePassthrough.assign(context=RunnableLambda(map_step)).assign(answer=document_chain)
+
+def build_compare_chain(sides, retrieval, trace=None):
+    """Retrieve for the question separately on each side, then number the passages A first, then B.
+    sides holds (record, filters) for side A and side B."""
+    side_traces = [{} if trace is not None else None for _ in sides]
+    retrievers = [build_retriever([record], retrieval, filters, side_trace)
+                  for (record, filters), side_trace in zip(sides, side_traces)]
+
+    def retrieve(inputs, config):
+        docs = []
+        candidates = []
+        for side, retriever, side_trace in zip('AB', retrievers, side_traces):
+            offset = len(docs)
+            for doc in retriever.invoke(inputs['input'], config=config):
+                docs.append(Document(page_content=doc.page_content,
+                                     metadata={**doc.metadata, 'side': side, 'source_id': len(docs) + 1}))
+            if trace is not None:
+                # Each side ranks its own pool: list A's candidates then B's, with B's
+                # citation numbers shifted past A's as in the prompt
+                candidates += [{**c, 'side': side, 'source_id': c['source_id'] and c['source_id'] + offset}
+                               for c in side_trace.get('candidates', [])]
+                trace['search_query'] = side_trace.get('search_query', inputs['input'])
+                trace['search_type'] = side_trace.get('search_type')
+        if trace is not None:
+            trace['candidates'] = [{**c, 'rank': rank} for rank, c in enumerate(candidates, start=1)]
+        return docs
+
+    document_chain = create_stuff_documents_chain(llm, COMPARE_PROMPT, document_prompt=COMPARE_DOCUMENT_PROMPT)
+    return RunnablePassthrough.assign(context=RunnableLambda(retrieve)).assign(answer=document_chain)
+
+def describe_fields(fields):
+    return "\n".join(f'- "{field["name"]}" ({field["type"]})' + (f": {field['description']}" if field['description'] else '')
+                     for field in fields)
+
+def extraction_passages(records, fields, retrieval):
+    """[(record, passages)]: each field searched for separately in each document, the hits
+    deduplicated, put in reading order and numbered across the whole request."""
+    settings = {**retrieval, 'k': min(retrieval['k'], EXTRACT_PASSAGES_PER_FIELD)}
+    targets, numbered = [], 0
+    for record in records:
+        retriever = build_retriever([record], settings, retrieval.get('filters'))
+        found = {}
+        for field in fields:
+            query = f"{field['name']}: {field['description']}" if field['description'] else field['name']
+            for doc in retriever.invoke(query):
+                found.setdefault(chunk_key(doc), doc)
+        passages = []
+        for doc in sorted(found.values(), key=lambda doc: doc.metadata.get('page', 0)):
+            numbered += 1
+            passages.append(Document(page_content=doc.page_content, metadata={**doc.metadata, 'source_id': numbered}))
+        targets.append((record, passages))
+    return targets
+
+PLAIN_NUMBER = re.compile(r'-?\d+(\.\d+)?')
+GROUPED_NUMBER = re.compile(r'-?\d{1,3}(,\d{3})+(\.\d+)?')
+
+def citation_number(source):
+    """The passage number a model cited for a value: 3, 3.0, "3", "[3]" and "[3], [4]" all give 3."""
+    if isinstance(source, bool) or source is None:
+        return None
+    if isinstance(source, (int, float)):
+        return int(source) if math.isfinite(source) else None
+    match = re.search(r'\d+', str(source))
+    return int(match.group(0)) if match else None
+
+def coerce_value(kind, value):
+    """A reported value as its schema type, None when it is empty; raises ValueError otherwise."""
+    if value is None or value == '' or value == []:
+        return None
+    if isinstance(value, dict) or (isinstance(value, list) and kind != 'list'):
+        raise ValueError(kind)
+    if kind == 'number':
+        if isinstance(value, bool):
+            raise ValueError(kind)
+        if isinstance(value, (int, float)):
+            if not math.isfinite(value):  # NaN and Infinity would make the response invalid JSON
+                raise ValueError(kind)
+            return value
+        # Only "1200.5" and "1,200.5"; "1.200,50" or "1,5" could mean either, so they are not guessed at
+        text = str(value).strip()
+        if not (PLAIN_NUMBER.fullmatch(text) or GROUPED_NUMBER.fullmatch(text)):
+            raise ValueError(kind)
+        text = text.replace(',', '')
+        if '.' not in text:
+            return int(text)
+        number = float(text)
+        if not math.isfinite(number):  # hundreds of digits overflow to Infinity
+            raise ValueError(kind)
+        return number
+    if kind == 'date':
+        text = str(value).strip()
+        if not re.fullmatch(r'\d{4}(-\d{2}(-\d{2})?)?', text):
+            raise ValueError(kind)
+        year, month, day = (text.split('-') + ['01', '01'])[:3]
+        datetime.date(int(year), int(month), int(day))  # rejects month 13, February 30th, ...
+        return text
+    if kind == 'boolean':
+        if isinstance(value, bool):
+            return value
+        answer = str(value).strip().lower()
+        if answer not in ('true', 'false', 'yes', 'no'):
+            raise ValueError(kind)
+        return answer in ('true', 'yes')
+    if kind == 'list':
+        items = [str(item).strip() for item in (value if isinstance(value, list) else [value])]
+        return [item for item in items if item] or None
+    return str(value).strip() or None
+
+def extraction_row(record, fields, reply, passages):
+    """A model reply checked against the schema. Every field gets a status: found (with the
+    passage and page it came from), missing, or invalid (the unusable value is kept as raw).
+    reply is None when no passage matched, so the model was never asked."""
+    data = parse_json_object(reply) if reply is not None else {}
+    reported = {str(key).strip().lower(): value for key, value in (data or {}).items()}
+    by_id = {doc.metadata['source_id']: doc for doc in passages}
+
+    values = {}
+    for field in fields:
+        entry = reported.get(field['name'].lower())
+        raw, source = (entry.get('value'), entry.get('source')) if isinstance(entry, dict) else (entry, None)
+        try:
+            value = coerce_value(field['type'], raw)
+        except ValueError:
+            values[field['name']] = {'status': 'invalid', 'value': None, 'raw': json.dumps(raw)[:MAX_FILTER_CHARS]}
+            continue
+        if value is None:
+            values[field['name']] = {'status': 'missing', 'value': None}
+            continue
+        doc = by_id.get(citation_number(source))
+        values[field['name']] = {
+            'status': 'found',
+            'value': value,
+            'source_id': doc.metadata['source_id'] if doc else None,
+            'page': doc.metadata['page_number'] if doc else None,
+            'location': doc.metadata['location'] if doc else None
+        }
+
+    row = {
+        'doc_id': record['id'],
+        'doc_name': record['name'],
+        'fields': values,
+        'missing': [field['name'] for field in fields if values[field['name']]['status'] != 'found']
+    }
+    if data is None:
+        row['error'] = 'The model did not reply with JSON, so no field could be read.'
+    return row
+
+def extract_rows(targets, fields, request_text):
+    """One row per document from a batch of model calls, plus their token usage
+    (reported when the provider reported every call, else estimated)."""
+    asked = [(record, passages) for record, passages in targets if passages]
+    prompts = [EXTRACT_PROMPT.format_messages(
+        doc_name=record['name'], fields=describe_fields(fields), request=request_text,
+        context="\n\n".join(format_document(doc, DOCUMENT_PROMPT) for doc in passages)
+    ) for record, passages in asked]
+    tracker = UsageTracker()
+    replies = llm.batch(prompts, config={'callbacks': [tracker], 'max_concurrency': SUMMARY_CONCURRENCY}) if prompts else []
+
+    answers = {record['id']: reply.content for (record, _), reply in zip(asked, replies)}
+    rows = [extraction_row(record, fields, answers.get(record['id']), passages) for record, passages in targets]
+
+    if tracker.calls and all(tracker.calls):
+        usage = {'prompt': sum(call.get('input_tokens', 0) for call in tracker.calls),
+                 'completion': sum(call.get('output_tokens', 0) for call in tracker.calls), 'estimated': False}
+    else:
+        usage = {'prompt': sum(approx_tokens("\n".join(m.content for m in prompt)) for prompt in prompts),
+                 'completion': sum(approx_tokens(answer) for answer in answers.values()), 'estimated': True}
+    return rows, usage
+
+def summarise_extraction(rows, fields):
+    found = sum(len(fields) - len(row['missing']) for row in rows)
+    total = len(fields) * len(rows)
+    documents = f"{len(rows)} document{'s' if len(rows) != 1 else ''}"
+    return f"Found {found} of {total} field values in {documents}."
+
+class UsageTracker(BaseCallbackHandler):
+    """Collects the token usage each chat model call in one chain run reports, in order."""
+
+    def __init__(self):
+        self.calls = []
+
+    def on_llm_end(self, response, **kwargs):
+        usage = None
+        for generations in response.generations:
+            for generation in generations:
+                message = getattr(generation, 'message', None)
+                usage = getattr(message, 'usage_metadata', None) or usage
+        if usage is None:
+            reported = (response.llm_output or {}).get('token_usage') or {}
+            if reported:
+                usage = {'input_tokens': reported.get('prompt_tokens', 0),
+                         'output_tokens': reported.get('completion_tokens', 0)}
+        self.calls.append(usage)
+
+def approx_tokens(text):
+    # ~4 characters per token for English text; enough to spot an overstuffed prompt
+    return math.ceil(len(text) / 4)
+
+def render_prompt(inputs, docs, mode='answer'):
+    """The answer prompt exactly as the stuff-documents chain formats it."""
+    prompt, document_prompt = MODE_PROMPTS[mode]
+    context = "\n\n".join(format_document(doc, document_prompt) for doc in docs)
+    return prompt.format_messages(context=context, **inputs)
+
+def answer_usage(tracker, inputs, docs, answer, mode='answer'):
+    """Token counts of the answering call: as reported by the provider, else estimated."""
+    usage = tracker.calls[-1] if tracker.calls else None
+    if usage:
+        return {'prompt': usage.get('input_tokens', 0), 'completion': usage.get('output_tokens', 0), 'estimated': False}
+    prompt_text = "\n".join(m.content for m in render_prompt(inputs, docs, mode))
+    return {'prompt': approx_tokens(prompt_text), 'completion': approx_tokens(answer), 'estimated': True}
+
+def build_metrics(timings, other_calls, answer_tokens, retrieval):
+    """Metrics for one answer. Tokens cover every model call: the answer's own plus other_calls,
+    the usage the tracker saw before it (the follow-up rewrite, summary map steps)."""
+    prompt_tokens, completion_tokens = answer_tokens['prompt'], answer_tokens['completion']
+    for usage in other_calls:
+        if usage:
+            prompt_tokens += usage.get('input_tokens', 0)
+            completion_tokens += usage.get('output_tokens', 0)
+
+    return {
+        **timings,
+        'provider': llm_info['provider'],
+        'model': llm_info['model'],
+        'local': llm_info['local'],
+        'retrieval': retrieval,
+        'tokens': {
+            'prompt': prompt_tokens,
+            'completion': completion_tokens,
+            'total': prompt_tokens + completion_tokens,
+            'estimated': answer_tokens['estimated']
+        },
+        'cost': providers.estimate_cost(llm_info.get('pricing'), prompt_tokens, completion_tokens)
+    }
+
+def build_debug(trace, inputs, docs, answer_tokens, mode='answer'):
+    """The retrieval trace plus the exact prompt the model was given, for the verbose view."""
+    return {
+        'search_query': trace.get('search_query', inputs['input']),
+        'search_type': trace.get('search_type'),
+        'candidates': trace.get('candidates', []),
+        'prompt': [{'role': m.type, 'content': m.content} for m in render_prompt(inputs, docs, mode)],
+        'tokens': answer_tokens
+    }
+
+def stream_answer(retrieval_chain, inputs, retrieval, trace=None, mode='answer'):
+    """Yield NDJSON events: a status line for slow modes, the cited sources, one per answer
+    token, an optional debug event (verbose requests), then a trailing metrics event."""
+    start_time = time.time()
+    retrieved_at = None
+    first_token_at = None
+    docs = []
+    answer = []
+    tracker = UsageTracker()
+
+    try:
+        if mode == 'summary':
+            # The map step reads every chunk before the first source is known; say so right away
+            yield json.dumps({'type': 'status', 'detail': 'Summarising every part of the selected documents…'}) + "\n"
+        for chunk in retrieval_chain.stream(inputs, config={'callbacks': [tracker]}):
+            if "context" in chunk:
+                retrieved_at = time.time()
+                docs = chunk["context"]
+                yield json.dumps({'type': 'sources', 'sources': serialize_sources(docs)}) + "\n"
+
+            token = chunk.get("answer")
+            if not token:
+                continue
+            if first_token_at is None:
+                first_token_at = time.time()
+            answer.append(token)
+            yield json.dumps({'type': 'token', 'text': token}) + "\n"
+
+        finished_at = time.time()
+        retrieved_at = retrieved_at or finished_at
+        answer_tokens = answer_usage(tracker, inputs, docs, ''.join(answer), mode)
+        if trace is not None:
+            yield json.dumps({'type': 'debug', 'debug': build_debug(trace, inputs, docs, answer_tokens, mode)}) + "\n"
+
+        # Retrieval includes rewriting a follow-up into a standalone query
+        timings = {
+            'latency': round(finished_at - start_time, 2),
+            'ttft': round((first_token_at or finished_at) - start_time, 2),
+            'retrieval_time': round(retrieved_at - start_time, 2),
+            'generation_time': round(finished_at - retrieved_at, 2)
+        }
+        yield json.dumps({'type': 'metrics', 'metrics': build_metrics(timings, tracker.calls[:-1], answer_tokens, retrieval)}) + "\n"
+
+    except Exception as e:
+        print(f"❌ Stream error: {e}")
+        yield json.dumps({'type': 'error', 'message': f'Query failed: {str(e)}'}) + "\n"
+
+def stream_extraction(records, fields, request_text, retrieval):
+    """Yield NDJSON events for extraction mode: a status line, the passages searched, the
+    validated rows as one extraction event, then metrics. There are no answer tokens."""
+    start_time = time.time()
+    try:
+        yield json.dumps({'type': 'status', 'detail': f'Extracting {len(fields)} field{"s" if len(fields) != 1 else ""} '
+                                                      f'from {len(records)} document{"s" if len(records) != 1 else ""}…'}) + "\n"
+        targets = extraction_passages(records, fields, retrieval)
+        retrieved_at = time.time()
+        yield json.dumps({'type': 'sources', 'sources': serialize_sources([doc for _, docs in targets for doc in docs])}) + "\n"
+
+        rows, usage = extract_rows(targets, fields, request_text)
+        yield json.dumps({'type': 'extraction', 'extraction': {
+            'fields': fields, 'rows': rows, 'summary': summarise_extraction(rows, fields)}}) + "\n"
+
+        finished_at = time.time()
+        timings = {
+            'latency': round(finished_at - start_time, 2),
+            'ttft': round(finished_at - start_time, 2),
+            'retrieval_time': round(retrieved_at - start_time, 2),
+            'generation_time': round(finished_at - retrieved_at, 2)
+        }
+        yield json.dumps({'type': 'metrics', 'metrics': build_metrics(timings, [], usage, retrieval)}) + "\n"
+
+    except Exception as e:
+        print(f"❌ Extraction error: {e}")
+        yield json.dumps({'type': 'error', 'message': f'Extraction failed: {str(e)}'}) + "\n"
+
 @app.route('/ask_pdf', methods=['POST'])
+@require_session
 def ask_pdf():
-    data = request.get_json()
-    if not data:
+    documents = g.session['documents']
+    data = request.get_json(silent=True)
+    if not data or not isinstance(data, dict):
         return jsonify({'message': 'Invalid request body'}), 400
 
-    query = data.get('query', '').strip()
+    query = data.get('query', '')
+    if not isinstance(query, str):
+        return jsonify({'message': 'query must be text.'}), 400
+    query = query.strip()
     if not query:
         return jsonify({'message': 'No query provided'}), 400
 
-    if db is None:
-        return jsonify({'message': 'Please upload a PDF first.'}), 400
+    if not documents:
+        return jsonify({'message': 'Please upload a document first.'}), 400
+
+    # Search only the documents the user ticked; default to the whole collection
+    doc_ids = data.get('document_ids')
+    if doc_ids is None:
+        selected = list(documents.values())
+    elif not isinstance(doc_ids, list) or not all(isinstance(d, str) for d in doc_ids):
+        return jsonify({'message': 'document_ids must be a list of document ids.'}), 400
+    else:
+        selected = [documents[d] for d in doc_ids if d in documents]
+    if not selected:
+        return jsonify({'message': 'Select at least one document to search.'}), 400
 
     if llm is None:
         load_resources()
         if llm is None:
-            return jsonify({'message': 'LLM service unavailable. Check GROQ_API_KEY.'}), 500
+            return jsonify({'message': f'LLM service unavailable. {providers.setup_hint("llm")}'}), 500
 
-    try:
-        prompt = ChatPromptTemplate.from_template("""
-        You are an expert document analyst. Answer the question using ONLY the provided context.
-        Be accurate, concise, and well-structured. Use bullet points or numbered lists when helpful.
-        If the answer is not in the context, say: "This information is not available in the provided document."
+    retrieval, error = parse_retrieval_settings(data.get('retrieval'))
+    if error:
+        return jsonify({'message': error}), 400
+    # Filters ride along with the retrieval settings so metrics echo them back
+    retrieval['filters'], error = parse_search_filters(data.get('filters'))
+    if error:
+        return jsonify({'message': error}), 400
 
-        <context>
-        {context}
-        </context>
+    mode = data.get('mode') or 'answer'
+    modes = (*MODE_PROMPTS, 'extract')
+    if mode not in modes:
+        return jsonify({'message': f'mode must be one of {", ".join(modes)}.'}), 400
+    # Summaries and comparisons do not use the query filters
+    section_filter = (retrieval['filters'] or {}).get('section')
+    if section_filter and mode not in ('summary', 'compare') and not any(has_section_headings(r) for r in selected):
+        return jsonify({'message': 'None of the selected documents has section headings (PDF pages never do), '
+                                   'so a section filter would match nothing. Filter by pages instead.'}), 400
 
-        Question: {input}
+    if mode == 'extract':
+        fields, error = parse_extraction_schema(data.get('schema'))
+        if error:
+            return jsonify({'message': error}), 400
+        if data.get('stream'):
+            return Response(
+                stream_with_context(stream_extraction(selected, fields, query, retrieval)),
+                mimetype='application/x-ndjson',
+                headers={'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no'}
+            )
+        try:
+            start_time = time.time()
+            targets = extraction_passages(selected, fields, retrieval)
+            rows, usage = extract_rows(targets, fields, query)
+            latency = round(time.time() - start_time, 2)
+            return jsonify({
+                'response': summarise_extraction(rows, fields),
+                'extraction': {'fields': fields, 'rows': rows, 'summary': summarise_extraction(rows, fields)},
+                'sources': serialize_sources([doc for _, docs in targets for doc in docs]),
+                'metrics': build_metrics({'latency': latency}, [], usage, retrieval)
+            }), 200
+        except Exception as e:
+            print(f"❌ Extraction error: {e}")
+            return jsonify({'message': f'Extraction failed: {str(e)}'}), 500
 
-        Answer:""")
+    inputs = {"input": query, "chat_history": build_chat_history(data.get('history', []))}
+    if mode == 'compare':
+        sides, labels, error = parse_compare_sides(data.get('compare'), documents)
+        if error:
+            return jsonify({'message': error}), 400
+        inputs['side_a'], inputs['side_b'] = labels
 
-        document_chain = create_stuff_documents_chain(llm, prompt)
+    # verbose: also report the candidate pool, the rendered prompt and token counts
+    trace = {} if data.get('verbose') else None
 
-        retriever = db.as_retriever(
-            search_type="mmr",
-            search_kwargs={"k": 5, "fetch_k": 12, "lambda_mult": 0.6}
-        )
-        retrieval_chain = create_retrieval_chain(retriever, document_chain)
+    try:
+        if mode == 'summary':
+            retrieval_chain = build_summary_chain(selected)
+        elif mode == 'compare':
+            retrieval_chain = build_compare_chain(sides, retrieval, trace)
+        else:
+            retrieval_chain = build_retrieval_chain(selected, retrieval, trace, MODE_PROMPTS[mode][0])
+
+        if data.get('stream'):
+            return Response(
+                stream_with_context(stream_answer(retrieval_chain, inputs, retrieval, trace, mode)),
+                mimetype='application/x-ndjson',
+                headers={'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no'}
+            )
 
         start_time = time.time()
-        response = retrieval_chain.invoke({"input": query})
+        tracker = UsageTracker()
+        response = retrieval_chain.invoke(inputs, config={'callbacks': [tracker]})
         latency = round(time.time() - start_time, 2)
 
-        return jsonify({
+        context = response.get("context", [])
+        answer_tokens = answer_usage(tracker, inputs, context, response["answer"], mode)
+        result = {
             'response': response["answer"],
-            'metrics': {
-                'latency': latency,
-                'provider': 'Groq Cloud',
-                'model': 'Llama-3.1-70b'
-            }
-        }), 200
+            'sources': serialize_sources(context),
+            'metrics': build_metrics({'latency': latency}, tracker.calls[:-1], answer_tokens, retrieval)
+        }
+        if trace is not None:
+            result['debug'] = build_debug(trace, inputs, context, answer_tokens, mode)
+        return jsonify(result), 200
 
     except Exception as e:
         print(f"❌ Query error: {e}")
@@ -1,40 +1,536 @@
-const { useState, useRef, useCallback, useEffect } = React;
+const { useState, useRef, useCallback, useEffect, useMemo } = React;
+
+// ── Markdown renderer ───────────────────────────────────────────────────────
+// Answers are built from PDF text, so nothing here ever becomes raw HTML: the
+// parser produces React elements and React escapes every string it renders.
+// Links are only kept for http(s) and mailto targets.
+
+const LIST_ITEM  = /^(\s*)([-*+•]|\d{1,9}[.)])\s+(.*)$/;
+const FENCE      = /^\s{0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const HEADING    = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE       = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE      = /^\s{0,3}>\s?/;
+const TABLE_RULE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+const INLINE = /(`+)(.+?)\1|\*\*(.+?)\*\*|__(.+?)__|\*(?!\s)(.+?)\*|(?<![\w])_(?!\s)(.+?)_(?![\w])|~~(.+?)~~|\[([^\]]+)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)|(https?:\/\/[^\s<>()]+[^\s<>().,;:!?'"])/g;
+
+const indentOf = (line) => line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+
+const safeHref = (url) => {
+    const clean = url.replace(/[\u0000- ]/g, '');
+    return /^(https?:|mailto:)/i.test(clean) ? clean : null;
+};
+
+const isTableStart = (lines, i) =>
+    lines[i].includes('|') && i + 1 < lines.length && lines[i + 1].includes('-') && TABLE_RULE.test(lines[i + 1]);
+
+const splitRow = (line) =>
+    line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '')
+        .split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+
+const startsBlock = (lines, i) =>
+    FENCE.test(lines[i]) || HEADING.test(lines[i]) || RULE.test(lines[i]) ||
+    QUOTE.test(lines[i]) || LIST_ITEM.test(lines[i]) || isTableStart(lines, i);
+
+// One list level; deeper-indented lines are handed to the item's own block parse
+const parseList = (lines, start) => {
+    const first = lines[start].match(LIST_ITEM);
+    const base = indentOf(lines[start]);
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let i = start;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        const m = line.match(LIST_ITEM);
+        if (m && indentOf(line) <= base) {
+            if (/\d/.test(m[2]) !== ordered) break;
+            items.push([m[3]]);
+            i++;
+            continue;
+        }
+        if (!line.trim()) {
+            // A blank line only continues the list if something indented or another item follows
+            let j = i + 1;
+            while (j < lines.length && !lines[j].trim()) j++;
+            if (j >= lines.length) break;
+            const nextItem = lines[j].match(LIST_ITEM);
+            if (indentOf(lines[j]) <= base && !(nextItem && /\d/.test(nextItem[2]) === ordered)) break;
+            items[items.length - 1].push('');
+            i++;
+            continue;
+        }
+        if (indentOf(line) > base) {
+            items[items.length - 1].push(line.replace(/\t/g, '    ').slice(base + 2));
+            i++;
+            continue;
+        }
+        // Lazy continuation of the item's text, unless it opens a new block
+        if (startsBlock(lines, i)) break;
+        items[items.length - 1].push(line);
+        i++;
+    }
+
+    return {
+        block: { type: 'list', ordered, start: ordered ? parseInt(first[2], 10) : 1, items: items.map(parseBlocks) },
+        next: i,
+    };
+};
+
+const parseBlocks = (lines) => {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        if (!line.trim()) { i++; continue; }
+
+        // Fenced code; an unclosed fence (mid-stream) runs to the end
+        const fence = line.match(FENCE);
+        if (fence) {
+            const body = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) body.push(lines[i++]);
+            i++;
+            blocks.push({ type: 'code', lang: fence[2], text: body.join('\n') });
+            continue;
+        }
+
+        const heading = line.match(HEADING);
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+            i++;
+            continue;
+        }
+
+        if (RULE.test(line)) {
+            blocks.push({ type: 'rule' });
+            i++;
+            continue;
+        }
+
+        if (QUOTE.test(line)) {
+            const body = [];
+            while (i < lines.length && lines[i].trim() && (QUOTE.test(lines[i]) || !startsBlock(lines, i))) {
+                body.push(lines[i++].replace(QUOTE, ''));
+            }
+            blocks.push({ type: 'quote', children: parseBlocks(body) });
+            continue;
+        }
+
+        if (isTableStart(lines, i)) {
+            const head = splitRow(line);
+            const align = splitRow(lines[i + 1]).map(c =>
+                c.endsWith(':') ? (c.startsWith(':') ? 'center' : 'right') : (c.startsWith(':') ? 'left' : null));
+            const rows = [];
+            i += 2;
+            while (i < lines.length && lines[i].trim() && lines[i].includes('|')) rows.push(splitRow(lines[i++]));
+            blocks.push({ type: 'table', head, align, rows });
+            continue;
+        }
+
+        if (LIST_ITEM.test(line)) {
+            const { block, next } = parseList(lines, i);
+            blocks.push(block);
+            i = next;
+            continue;
+        }
+
+        const para = [];
+        while (i < lines.length && lines[i].trim() && (!para.length || !startsBlock(lines, i))) para.push(lines[i++].trim());
+        blocks.push({ type: 'paragraph', lines: para });
+    }
+    return blocks;
+};
+
+const renderInline = (text) => {
+    const nodes = [];
+    const re = new RegExp(INLINE.source, 'g');
+    let last = 0, m;
+
+    while ((m = re.exec(text))) {
+        if (m.index > last) nodes.push(text.slice(last, m.index));
+        const key = nodes.length;
+        if (m[2] !== undefined) {
+            nodes.push(<code key={key}>{m[2].trim() || m[2]}</code>);
+        } else if (m[3] !== undefined || m[4] !== undefined) {
+            nodes.push(<strong key={key}>{renderInline(m[3] ?? m[4])}</strong>);
+        } else if (m[5] !== undefined || m[6] !== undefined) {
+            nodes.push(<em key={key}>{renderInline(m[5] ?? m[6])}</em>);
+        } else if (m[7] !== undefined) {
+            nodes.push(<del key={key}>{renderInline(m[7])}</del>);
+        } else {
+            const label = m[8] !== undefined ? renderInline(m[8]) : m[10];
+            const href = safeHref(m[9] ?? m[10]);
+            nodes.push(href
+                ? <a key={key} href={href} target="_blank" rel="noopener noreferrer nofollow">{label}</a>
+                : <span key={key}>{label}</span>);
+        }
+        last = re.lastIndex;
+    }
+    if (last < text.length) nodes.push(text.slice(last));
+    return nodes;
+};
+
+const renderBlocks = (blocks, tight = false) => blocks.map((block, i) => {
+    switch (block.type) {
+        case 'heading': {
+            const Tag = `h${Math.min(block.level + 2, 6)}`;  // h1 in an answer sits below the page's own headings
+            return <Tag key={i} className={`md-h md-h${block.level}`}>{renderInline(block.text)}</Tag>;
+        }
+        case 'code':
+            return (
+                <pre key={i} className="md-code">
+                    {block.lang && <span className="md-code-lang">{block.lang}</span>}
+                    <code>{block.text}</code>
+                </pre>
+            );
+        case 'rule':
+            return <hr key={i} className="md-rule" />;
+        case 'quote':
+            return <blockquote key={i} className="md-quote">{renderBlocks(block.children)}</blockquote>;
+        case 'table':
+            return (
+                <div key={i} className="md-table-wrap">
+                    <table className="md-table">
+                        <thead>
+                            <tr>{block.head.map((cell, c) => <th key={c} style={{ textAlign: block.align[c] || undefined }}>{renderInline(cell)}</th>)}</tr>
+                        </thead>
+                        <tbody>
+                            {block.rows.map((row, r) => (
+                                <tr key={r}>
+                                    {block.head.map((_, c) => <td key={c} style={{ textAlign: block.align[c] || undefined }}>{renderInline(row[c] || '')}</td>)}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            );
+        case 'list': {
+            const Tag = block.ordered ? 'ol' : 'ul';
+            return (
+                <Tag key={i} className="md-list" start={block.ordered && block.start !== 1 ? block.start : undefined}>
+                    {block.items.map((item, n) => <li key={n}>{renderBlocks(item, true)}</li>)}
+                </Tag>
+            );
+        }
+        default: {
+            const content = block.lines.flatMap((line, n) => n ? [<br key={`br${n}`} />, ...renderInline(line)] : renderInline(line));
+            return tight ? <div key={i} className="md-li-text">{content}</div> : <p key={i}>{content}</p>;
+        }
+    }
+});
+
+const RenderResponse = ({ text }) => (
+    <div className="response-body">{renderBlocks(parseBlocks((text || '').replace(/\r\n?/g, '\n').split('\n')))}</div>
+);
+
+// ── Citation chips (expand to the quoted passage) ──────────────────────────
+const Citations = ({ sources, onView }) => {
+    const [openId, setOpenId] = useState(null);
+    if (!sources || !sources.length) return null;
+    const open = sources.find(s => s.id === openId);
 
-// ── Tiny markdown renderer (bold, bullets, numbered lists) ──────────────────
-const RenderResponse = ({ text }) => {
-    const lines = text.split('\n');
     return (
-        <div className="response-body">
-            {lines.map((line, i) => {
-                if (!line.trim()) return <div key={i} className="spacer" />;
-
-                // Numbered list
-                const numMatch = line.match(/^(\d+)\.\s+(.*)/);
-                if (numMatch) return (
-                    <div key={i} className="list-item numbered">
-                        <span className="list-num">{numMatch[1]}.</span>
-                        <span dangerouslySetInnerHTML={{ __html: boldify(numMatch[2]) }} />
+        <div className="citations">
+            <div className="citation-chips">
+                <span className="citation-label">Sources</span>
+                {sources.map(src => (
+                    <button
+                        key={src.id}
+                        className={`citation-chip ${openId === src.id ? 'open' : ''}`}
+                        title={src.snippet}
+                        onClick={() => setOpenId(id => id === src.id ? null : src.id)}
+                    >
+                        <span className="citation-num">{src.id}</span>
+                        {src.side && <span className="citation-side" title={`Side ${src.side} of the comparison`}>{src.side}</span>}
+                        {src.doc_name && <span className="citation-doc">{src.doc_name}</span>}
+                        {sourceLocation(src)}
+                        {src.ocr && <span className="citation-ocr" title="Text read from a scanned page with OCR">OCR</span>}
+                        {src.score != null && <span className="citation-score">{Math.round(src.score * 100)}%</span>}
+                    </button>
+                ))}
+            </div>
+            {open && (
+                <blockquote className="citation-quote">
+                    <div className="citation-quote-head">
+                        <span>[{open.id}] {open.doc_name ? `${open.doc_name} · ` : ''}{sourceLocation(open, true)}</span>
+                        {onView && open.unit !== 'section' && <button className="btn-sm" onClick={() => onView(open)}>View in PDF →</button>}
                     </div>
-                );
-
-                // Bullet
-                const bulletMatch = line.match(/^[-•*]\s+(.*)/);
-                if (bulletMatch) return (
-                    <div key={i} className="list-item bulleted">
-                        <span className="bullet-dot">▸</span>
-                        <span dangerouslySetInnerHTML={{ __html: boldify(bulletMatch[1]) }} />
+                    {open.text}
+                </blockquote>
+            )}
+        </div>
+    );
+};
+
+// ── Retrieval debug view (verbose /ask_pdf responses) ──────────────────────
+const RetrievalDebug = ({ debug }) => {
+    const [tab, setTab] = useState(null);  // null (collapsed) | 'chunks' | 'prompt'
+    const sent = debug.candidates.filter(c => c.source_id).length;
+    const { tokens } = debug;
+
+    return (
+        <div className="debug">
+            <div className="debug-bar">
+                <span className="citation-label">Debug</span>
+                <button className={`btn-sm ${tab === 'chunks' ? 'on' : ''}`} onClick={() => setTab(t => t === 'chunks' ? null : 'chunks')}>
+                    Chunks · {sent}/{debug.candidates.length} sent
+                </button>
+                <button className={`btn-sm ${tab === 'prompt' ? 'on' : ''}`} onClick={() => setTab(t => t === 'prompt' ? null : 'prompt')}>
+                    Prompt
+                </button>
+                <span className="debug-tokens" title={tokens.estimated ? 'Estimated at ~4 characters per token' : 'Reported by the provider'}>
+                    {tokens.estimated ? '≈' : ''}{tokens.prompt} prompt + {tokens.completion} completion tokens
+                </span>
+            </div>
+
+            {tab === 'chunks' && (
+                <div className="debug-body">
+                    <div className="debug-query">Search query: <code>{debug.search_query}</code></div>
+                    {debug.candidates.map(c => (
+                        <div key={c.rank} className={`debug-chunk ${c.source_id ? 'sent' : c.kept ? 'kept' : 'dropped'}`}>
+                            <span className="debug-rank">#{c.rank}</span>
+                            <span className="debug-score">
+                                <span className="debug-score-bar" style={{ width: `${Math.round(c.score * 100)}%` }} />
+                                {c.score.toFixed(3)}
+                            </span>
+                            <span className="debug-status">
+                                {c.source_id ? `sent as [${c.source_id}]` : c.kept ? 'kept, below top k' : 'dropped by MMR'}
+                                {c.keyword_score != null && ` · meaning ${c.vector_score.toFixed(2)} · keywords ${c.keyword_score.toFixed(2)}`}
+                            </span>
+                            <span className="debug-where">{c.side && `Side ${c.side} · `}{c.doc_name} · {c.location || `page ${c.page}`}</span>
+                            <span className="debug-snippet">{c.snippet}</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {tab === 'prompt' && (
+                <div className="debug-body">
+                    {debug.prompt.map((m, i) => (
+                        <div key={i} className="debug-message">
+                            <span className="debug-role">{m.role}</span>
+                            <pre>{m.content}</pre>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// ── PDF viewer (PDF.js, rendered from the local File object) ───────────────
+const squash = (str) => str.replace(/\s+/g, '').toLowerCase();
+
+// Locate a cited passage in a page's text layer and return overlay boxes in
+// viewport pixels. Whitespace is ignored on both sides because pypdf and
+// PDF.js break lines differently; only the head and tail of the passage need
+// to match, so the highlight survives small extraction differences mid-chunk.
+const findTextRects = (content, viewport, passage) => {
+    const items = content.items.filter(it => it.str);
+    let joined = '';
+    const owner = [];
+    items.forEach((it, idx) => {
+        const sq = squash(it.str);
+        joined += sq;
+        for (let k = 0; k < sq.length; k++) owner.push(idx);
+    });
+
+    const needle = squash(passage);
+    for (const probe of [80, 40, 20].map(n => Math.min(n, needle.length))) {
+        if (!probe) break;
+        const start = joined.indexOf(needle.slice(0, probe));
+        if (start < 0) continue;
+        const tailAt = joined.indexOf(needle.slice(-probe), start);
+        const end = tailAt >= 0 ? tailAt + probe : Math.min(start + needle.length, joined.length);
+        return [...new Set(owner.slice(start, end))].map(idx => {
+            const it = items[idx];
+            const tx = pdfjsLib.Util.transform(viewport.transform, it.transform);
+            const height = Math.hypot(tx[2], tx[3]);
+            return { left: tx[4], top: tx[5] - height, width: it.width * viewport.scale, height };
+        });
+    }
+    return [];
+};
+
+const PdfViewer = ({ file, target, onClose }) => {
+    const [doc, setDoc]         = useState(null);
+    const [pageNum, setPageNum] = useState(1);
+    const [rects, setRects]     = useState([]);
+    const [error, setError]     = useState('');
+    const canvasRef = useRef(null);
+    const stageRef  = useRef(null);
+    const taskRef   = useRef(null);
+
+    // Parse the File the user already picked — no re-download from the server
+    useEffect(() => {
+        let cancelled = false;
+        let loaded = null;
+        setDoc(null);
+        setError('');
+        file.arrayBuffer()
+            .then(buf => pdfjsLib.getDocument({ data: buf }).promise)
+            .then(pdf => { loaded = pdf; if (!cancelled) setDoc(pdf); })
+            .catch(() => { if (!cancelled) setError('Could not open this PDF for preview.'); });
+        return () => { cancelled = true; loaded?.destroy(); };
+    }, [file]);
+
+    useEffect(() => {
+        if (target?.page) setPageNum(target.page);
+    }, [target]);
+
+    useEffect(() => {
+        if (!doc) return;
+        let cancelled = false;
+
+        // The document is destroyed when the file changes or the viewer closes, which rejects
+        // any call still in flight, so every await is followed by a cancellation check
+        (async () => {
+            try {
+                const num = Math.min(Math.max(pageNum, 1), doc.numPages);
+                const page = await doc.getPage(num);
+                const canvas = canvasRef.current;
+                if (cancelled || !canvas || !stageRef.current) return;
+                const base = page.getViewport({ scale: 1 });
+                const viewport = page.getViewport({ scale: (stageRef.current.clientWidth || base.width) / base.width });
+                const ratio = window.devicePixelRatio || 1;
+                canvas.width = Math.floor(viewport.width * ratio);
+                canvas.height = Math.floor(viewport.height * ratio);
+                canvas.style.width = `${viewport.width}px`;
+                canvas.style.height = `${viewport.height}px`;
+
+                taskRef.current?.cancel();
+                taskRef.current = page.render({
+                    canvasContext: canvas.getContext('2d'),
+                    viewport,
+                    transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : null,
+                });
+                try { await taskRef.current.promise; } catch { return; }
+                if (cancelled) return;
+
+                const passage = target && target.page === num ? target.text : '';
+                const content = passage ? await page.getTextContent() : null;
+                if (cancelled) return;
+                setRects(content ? findTextRects(content, viewport, passage) : []);
+            } catch {
+                // A page pdf.js cannot draw stays blank; the other pages remain browsable
+                if (!cancelled) setRects([]);
+            }
+        })();
+
+        return () => { cancelled = true; };
+    }, [doc, pageNum, target]);
+
+    // Bring the first highlighted line into view
+    useEffect(() => {
+        const first = stageRef.current?.querySelector('.pdf-highlight');
+        if (first) first.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, [rects]);
+
+    const total = doc ? doc.numPages : 0;
+
+    return (
+        <aside className="viewer-panel">
+            <div className="viewer-header">
+                <span className="viewer-title">📖 {file.name}</span>
+                <div className="viewer-controls">
+                    <button className="btn-sm" onClick={() => setPageNum(n => Math.max(n - 1, 1))} disabled={pageNum <= 1}>‹</button>
+                    <span className="viewer-page">{total ? `${pageNum} / ${total}` : '…'}</span>
+                    <button className="btn-sm" onClick={() => setPageNum(n => Math.min(n + 1, total))} disabled={!total || pageNum >= total}>›</button>
+                    <button className="btn-sm" onClick={onClose}>✕</button>
+                </div>
+            </div>
+            <div className="viewer-scroll">
+                {error ? (
+                    <div className="viewer-empty">{error}</div>
+                ) : (
+                    <div className="viewer-stage" ref={stageRef}>
+                        <canvas ref={canvasRef} />
+                        {rects.map((r, i) => (
+                            <div key={i} className="pdf-highlight" style={{ left: r.left, top: r.top, width: r.width, height: r.height }} />
+                        ))}
                     </div>
-                );
+                )}
+            </div>
+        </aside>
+    );
+};
+
+// ── Backend URL: ?api= query param › saved setting › <meta> tag › default ───
+const DEFAULT_API_BASE_URL = 'https://llm-research-assistant-2-0.onrender.com';
+const LOCAL_API_BASE_URL = 'http://localhost:5000';
+const API_URL_STORAGE_KEY = 'rag_api_base_url';
+
+const resolveApiBaseUrl = () => {
+    const fromQuery = new URLSearchParams(window.location.search).get('api');
+    const fromMeta = document.querySelector('meta[name="rag-api-base-url"]')?.content;
+    const url = fromQuery || localStorage.getItem(API_URL_STORAGE_KEY) || fromMeta || DEFAULT_API_BASE_URL;
+    return url.trim().replace(/\/+$/, '');
+};
+
+// ── Backend status strip (fed by /health) ──────────────────────────────────
+const StatusBar = ({ health, apiBaseUrl, onOpenSettings }) => {
+    const online = health.status === 'online';
+    const checks = [
+        { label: 'Server', ok: online, pending: health.status === 'checking' },
+        { label: 'Embeddings', ok: online && health.embeddings_ready, detail: health.embeddings?.provider },
+        { label: 'LLM', ok: online && health.llm_ready, detail: health.llm?.provider },
+        { label: 'Document', ok: online && health.pdf_loaded },
+    ];
 
-                return <p key={i} dangerouslySetInnerHTML={{ __html: boldify(line) }} />;
-            })}
+    return (
+        <div className="status-bar">
+            {checks.map(c => (
+                <span key={c.label} className="status-item" title={c.detail || ''}>
+                    <span className={`status-dot ${c.pending ? 'pending' : c.ok ? 'ok' : 'off'}`} />
+                    {c.label}
+                </span>
+            ))}
+            <button className="status-url" onClick={onOpenSettings} title="Change backend">
+                ⚙ {apiBaseUrl.replace(/^https?:\/\//, '')}
+            </button>
         </div>
     );
 };
 
-const boldify = (str) =>
-    str.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-       .replace(/`(.*?)`/g, '<code>$1</code>');
+const BackendSettings = ({ url, onSave, onClose }) => {
+    const [draft, setDraft] = useState(url);
+    const valid = /^https?:\/\/\S+$/.test(draft.trim());
+
+    return (
+        <div className="card settings-card">
+            <div className="response-header">
+                <span className="response-title">Backend</span>
+                <button className="btn-sm" onClick={onClose}>✕</button>
+            </div>
+            <input
+                className="settings-input"
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && valid && onSave(draft)}
+                placeholder="https://your-backend.example.com"
+                spellCheck={false}
+            />
+            <div className="settings-actions">
+                <button className="btn-sm" onClick={() => setDraft(DEFAULT_API_BASE_URL)}>Cloud</button>
+                <button className="btn-sm" onClick={() => setDraft(LOCAL_API_BASE_URL)}>Local</button>
+                <button className={`btn-sm ${valid ? 'green' : ''}`} onClick={() => onSave(draft)} disabled={!valid}>Save &amp; connect</button>
+            </div>
+            <p className="settings-hint">Saved in this browser. A <code>?api=</code> query parameter overrides it for one visit.</p>
+        </div>
+    );
+};
+
+// ── Library id: identifies this browser's saved documents across reloads ───
+const getLibraryId = () => {
+    let id = localStorage.getItem('rag_library_id');
+    if (!id) {
+        id = crypto.randomUUID();
+        localStorage.setItem('rag_library_id', id);
+    }
+    return id;
+};
 
 // ── Format bytes ────────────────────────────────────────────────────────────
 const fmtSize = (bytes) => {
@@ -43,140 +539,1428 @@ const fmtSize = (bytes) => {
     return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
 };
 
+// ── Part checksums for chunked uploads ──────────────────────────────────────
+// SubtleCrypto only exists in secure contexts; without it parts go unsigned and
+// the server relies on its size check and whole-file hash.
+const sha256Hex = async (buffer) => {
+    if (!window.crypto || !crypto.subtle) return null;
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+};
+
+// ── Document formats ────────────────────────────────────────────────────────
+// Mirrors loaders.FORMATS in the backend. Formats are detected from the extension
+// because browsers report no MIME type for Markdown and many EPUBs.
+const DOCUMENT_FORMATS = {
+    '.pdf': 'pdf', '.docx': 'docx', '.md': 'markdown', '.markdown': 'markdown',
+    '.txt': 'text', '.html': 'html', '.htm': 'html', '.epub': 'epub',
+};
+const FORMAT_LABELS = { pdf: 'PDF', docx: 'DOCX', markdown: 'MD', text: 'TXT', html: 'HTML', epub: 'EPUB' };
+const ACCEPTED_EXTENSIONS = Object.keys(DOCUMENT_FORMATS).join(',');
+
+const detectFormat = (name) => DOCUMENT_FORMATS[((name || '').match(/\.[A-Za-z]+$/) || [''])[0].toLowerCase()] || null;
+
+// PDFs count pages; every other format is split into sections
+const unitCount = (format, n) => !format || format === 'pdf' ? `${n}p` : `${n} section${n === 1 ? '' : 's'}`;
+
+const sourceLocation = (src, long = false) => {
+    if (src.unit !== 'section') return long ? `Page ${src.page}` : `p.${src.page}`;
+    const title = src.section ? ` ${src.section}` : '';
+    return long ? `Section ${src.page}${title && ` —${title}`}` : `§${src.page}${title}`;
+};
+
+// ── NDJSON stream reader (one JSON event per line) ──────────────────────────
+const readNdjson = async (res, onEvent) => {
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.filter(l => l.trim()).forEach(l => onEvent(JSON.parse(l)));
+    }
+    if (buffer.trim()) onEvent(JSON.parse(buffer));
+};
+
+// ── Advanced retrieval / chunking settings ──────────────────────────────────
+// Defaults and bounds mirror RETRIEVAL_* and CHUNKING_* in backend.py, which
+// re-validates everything it receives.
+const RETRIEVAL_DEFAULTS = { search_type: 'mmr', k: 5, fetch_k: 12, lambda_mult: 0.6, keyword_weight: 0.4 };
+const RETRIEVAL_BOUNDS = { k: [1, 12], fetch_k: [1, 50], lambda_mult: [0, 1], keyword_weight: [0, 1] };
+const CHUNKING_DEFAULTS = { chunk_size: 4000, chunk_overlap: 400 };
+const CHUNKING_BOUNDS = { chunk_size: [500, 8000], chunk_overlap: [0, 1000] };
+
+const clamp = (value, [low, high]) => Math.min(Math.max(value, low), high);
+
+const describeRetrieval = (r) => [
+    r.search_type === 'mmr' ? `MMR k${r.k}/${r.fetch_k} λ${r.lambda_mult}`
+        : r.search_type === 'hybrid' ? `hybrid k${r.k} kw${r.keyword_weight}`
+        : `similarity k${r.k}`,
+    r.filters && describeFilters(r.filters),
+].filter(Boolean).join(' · ');
+
+const NumberField = ({ label, value, bounds, step = 1, disabled, onChange, hint }) => (
+    <label className={`adv-field ${disabled ? 'off' : ''}`} title={hint}>
+        <span>{label}</span>
+        <input
+            type="number"
+            min={bounds[0]}
+            max={bounds[1]}
+            step={step}
+            value={value}
+            disabled={disabled}
+            onChange={(e) => e.target.value !== '' && onChange(clamp(Number(e.target.value), bounds))}
+        />
+    </label>
+);
+
+const AdvancedSettings = ({ retrieval, chunking, debug, onRetrieval, onChunking, onDebug }) => {
+    const mmr = retrieval.search_type === 'mmr';
+    const hybrid = retrieval.search_type === 'hybrid';
+    const setR = (key) => (value) => onRetrieval(r => {
+        const next = { ...r, [key]: value };
+        // MMR re-ranks fetch_k candidates down to k, so fetch_k can never be smaller
+        if (key === 'k') next.fetch_k = Math.max(next.fetch_k, value);
+        if (key === 'fetch_k') next.k = Math.min(next.k, value);
+        return next;
+    });
+    const setC = (key) => (value) => onChunking(c => {
+        const next = { ...c, [key]: value };
+        next.chunk_overlap = Math.min(next.chunk_overlap, Math.floor(next.chunk_size / 2));
+        return next;
+    });
+
+    return (
+        <div className="advanced">
+            <div className="adv-group">
+                <span className="adv-title">Retrieval · this query</span>
+                <label className="adv-field">
+                    <span>Search</span>
+                    <select value={retrieval.search_type} onChange={(e) => onRetrieval(r => ({ ...r, search_type: e.target.value }))}>
+                        <option value="mmr">MMR (diverse)</option>
+                        <option value="similarity">Similarity</option>
+                        <option value="hybrid">Hybrid (keywords + meaning)</option>
+                    </select>
+                </label>
+                <NumberField label="k" value={retrieval.k} bounds={RETRIEVAL_BOUNDS.k} onChange={setR('k')}
+                             hint="Passages handed to the model" />
+                <NumberField label="fetch_k" value={retrieval.fetch_k} bounds={RETRIEVAL_BOUNDS.fetch_k} onChange={setR('fetch_k')}
+                             disabled={!mmr} hint="Candidates MMR chooses from, per document" />
+                <label className={`adv-field ${mmr ? '' : 'off'}`} title="1 = pure relevance, 0 = maximum diversity">
+                    <span>λ {retrieval.lambda_mult.toFixed(2)}</span>
+                    <input type="range" min="0" max="1" step="0.05" value={retrieval.lambda_mult} disabled={!mmr}
+                           onChange={(e) => setR('lambda_mult')(Number(e.target.value))} />
+                </label>
+                <label className={`adv-field ${hybrid ? '' : 'off'}`} title="Share of the score from exact keyword (BM25) matches; the rest is semantic similarity">
+                    <span>keywords {retrieval.keyword_weight.toFixed(2)}</span>
+                    <input type="range" min="0" max="1" step="0.05" value={retrieval.keyword_weight} disabled={!hybrid}
+                           onChange={(e) => setR('keyword_weight')(Number(e.target.value))} />
+                </label>
+            </div>
+            <div className="adv-group">
+                <span className="adv-title">Chunking · next uploads</span>
+                <NumberField label="Chunk size" value={chunking.chunk_size} bounds={CHUNKING_BOUNDS.chunk_size} step={250}
+                             onChange={setC('chunk_size')} hint="Characters per chunk; smaller suits clause-level contracts" />
+                <NumberField label="Overlap" value={chunking.chunk_overlap} bounds={CHUNKING_BOUNDS.chunk_overlap} step={50}
+                             onChange={setC('chunk_overlap')} hint="Characters shared by neighbouring chunks (at most half the chunk size)" />
+            </div>
+            <label className="adv-check" title="Show the ranked chunks, the rendered prompt and token counts under each answer">
+                <input type="checkbox" checked={debug} onChange={(e) => onDebug(e.target.checked)} />
+                Debug retrieval
+            </label>
+            <button className="btn-sm" onClick={() => { onRetrieval(RETRIEVAL_DEFAULTS); onChunking(CHUNKING_DEFAULTS); }}>
+                Reset to defaults
+            </button>
+        </div>
+    );
+};
+
+// ── Query filters (page range, section, exact phrase) ──────────────────────
+// Mirrors parse_search_filters in backend.py. Filters stay set across queries
+// until removed, like the retrieval settings.
+const NO_FILTERS = { pages: null, section: '', phrases: [] };
+const MAX_FILTER_PHRASES = 5;
+
+const hasFilters = (f) => !!(f.pages || f.section || f.phrases.length);
+
+// The /ask_pdf filters object, or null when nothing narrows the search
+const toFilterPayload = (f) => hasFilters(f) ? {
+    ...(f.pages && { pages: f.pages }),
+    ...(f.section && { section: f.section }),
+    ...(f.phrases.length && { phrases: f.phrases }),
+} : null;
+
+const describeFilters = (f) => [
+    f.pages && (f.pages[0] === f.pages[1] ? `p${f.pages[0]}` : `p${f.pages[0]}–${f.pages[1]}`),
+    f.section && `§ ${f.section}`,
+    ...(f.phrases || []).map(p => `“${p}”`),
+].filter(Boolean).join(' ');
+
+// "3", "3-7" or "3–7" -> [3, 7]; null for anything else
+const parsePageRange = (text) => {
+    const match = text.trim().match(/^(\d+)\s*(?:[-–]\s*(\d+))?$/);
+    if (!match) return null;
+    const first = Number(match[1]);
+    const last = Number(match[2] || match[1]);
+    return first >= 1 && first <= last ? [first, last] : null;
+};
+
+// Quoted text in the question is offered as a one-click exact-phrase filter
+const quotedPhrases = (text) =>
+    [...text.matchAll(/["“]([^"“”]{2,200})["”]/g)].map(m => m[1].trim()).filter(Boolean);
+
+// `sections` is false when every selected document is a PDF, whose pages have no headings
+const FilterChips = ({ filters, query, sections, onChange }) => {
+    const [editing, setEditing] = useState(null);  // null | 'pages' | 'section' | 'phrase'
+    const [draft, setDraft]     = useState('');
+    const [invalid, setInvalid] = useState(false);
+    const canAddPhrase = filters.phrases.length < MAX_FILTER_PHRASES;
+    const suggested = canAddPhrase ? quotedPhrases(query).filter(p => !filters.phrases.includes(p)).slice(0, 3) : [];
+
+    const open = (kind) => {
+        setEditing(kind);
+        setDraft(kind === 'section' ? filters.section : '');
+        setInvalid(false);
+    };
+    const commit = () => {
+        const value = draft.trim();
+        if (editing === 'pages' && value) {
+            const pages = parsePageRange(value);
+            if (!pages) return setInvalid(true);
+            onChange(f => ({ ...f, pages }));
+        } else if (editing === 'section') {
+            onChange(f => ({ ...f, section: value }));
+        } else if (editing === 'phrase' && value) {
+            onChange(f => f.phrases.includes(value) ? f : { ...f, phrases: [...f.phrases, value] });
+        }
+        setEditing(null);
+    };
+    const addPhrase = (phrase) => onChange(f => ({ ...f, phrases: [...f.phrases, phrase] }));
+    const removePhrase = (phrase) => onChange(f => ({ ...f, phrases: f.phrases.filter(p => p !== phrase) }));
+
+    return (
+        <div className="filters">
+            <span className="filters-label">Filters</span>
+            {filters.pages && (
+                <span className="filter-chip" title="Page range (section numbers for non-PDF documents)">
+                    {filters.pages[0] === filters.pages[1] ? `Page ${filters.pages[0]}` : `Pages ${filters.pages[0]}–${filters.pages[1]}`}
+                    <button onClick={() => onChange(f => ({ ...f, pages: null }))}>✕</button>
+                </span>
+            )}
+            {filters.section && (
+                <span className="filter-chip" title="Only sections whose heading contains this text">
+                    § {filters.section}
+                    <button onClick={() => onChange(f => ({ ...f, section: '' }))}>✕</button>
+                </span>
+            )}
+            {filters.phrases.map(p => (
+                <span key={p} className="filter-chip" title="Only passages containing this exact phrase">
+                    “{p}”
+                    <button onClick={() => removePhrase(p)}>✕</button>
+                </span>
+            ))}
+            {editing ? (
+                <input
+                    autoFocus
+                    className={`filter-input ${invalid ? 'invalid' : ''}`}
+                    placeholder={{ pages: 'e.g. 3-7', section: 'Heading contains…', phrase: 'Exact phrase' }[editing]}
+                    value={draft}
+                    maxLength={200}
+                    onChange={(e) => { setDraft(e.target.value); setInvalid(false); }}
+                    onKeyDown={(e) => {
+                        if (e.key === 'Enter') { e.preventDefault(); commit(); }
+                        if (e.key === 'Escape') setEditing(null);
+                    }}
+                    onBlur={commit}
+                />
+            ) : (
+                <>
+                    {!filters.pages && <button className="filter-add" onClick={() => open('pages')}>+ Pages</button>}
+                    {!filters.section && sections && <button className="filter-add" onClick={() => open('section')}>+ Section</button>}
+                    {canAddPhrase && <button className="filter-add" onClick={() => open('phrase')}>+ Exact phrase</button>}
+                </>
+            )}
+            {suggested.map(p => (
+                <button key={p} className="filter-add suggested" onClick={() => addPhrase(p)} title="Only use passages containing this exact phrase">
+                    + “{p}”
+                </button>
+            ))}
+        </div>
+    );
+};
+
+// ── Answer modes ────────────────────────────────────────────────────────────
+// Each mode has its own prompt/chain in backend.py (MODE_PROMPTS, or stream_extraction
+// for extract). `fallback` is asked when the query box is left empty; modes without
+// one need a question.
+const ANSWER_MODES = [
+    { id: 'answer', label: 'Answer', hint: 'Concise, cited answer from the most relevant passages' },
+    { id: 'summary', label: 'Summarise', hint: 'Summary of every part of the selected documents, not just the top passages',
+      fallback: 'Summarise the selected documents.' },
+    { id: 'table', label: 'Extract table', hint: 'Pull the requested values into a table you can download as CSV' },
+    { id: 'compare', label: 'Compare', hint: 'Side-by-side comparison of two documents or sections',
+      fallback: 'Compare the two sides.' },
+    { id: 'simple', label: 'Explain simply', hint: 'Plain-language explanation for non-specialists' },
+    { id: 'extract', label: 'Extract fields', hint: 'Fill in your own field schema for every selected document, with the page each value came from',
+      fallback: 'Extract every field in the schema.' },
+];
+const MODE_LABELS = Object.fromEntries(ANSWER_MODES.map(m => [m.id, m.label]));
+const EMPTY_SIDE = { doc_id: '', pages: '', section: '' };
+
+// /ask_pdf compare sides, or an error message for the banner
+const toCompareSides = (sides) => {
+    const payload = [];
+    for (const [i, side] of sides.entries()) {
+        const name = i ? 'B' : 'A';
+        if (!side.doc_id) return { error: `Choose a document for side ${name}.` };
+        const pages = side.pages.trim() ? parsePageRange(side.pages) : null;
+        if (side.pages.trim() && !pages) return { error: `Side ${name}: pages must look like 3 or 3-7.` };
+        payload.push({ doc_id: side.doc_id, ...(pages && { pages }), ...(side.section.trim() && { section: side.section.trim() }) });
+    }
+    return { sides: payload };
+};
+
+const CompareSides = ({ docs, sides, onChange }) => (
+    <div className="compare-sides">
+        {sides.map((side, i) => {
+            const set = (key) => (e) => onChange(s => s.map((x, j) => j === i ? { ...x, [key]: e.target.value } : x));
+            // PDF pages carry no headings to match, so their sides are limited to a page range
+            const isPdf = (id) => (docs.find(d => d.id === id)?.format || 'pdf') === 'pdf';
+            const choose = (e) => onChange(s => s.map((x, j) => j === i
+                ? { ...x, doc_id: e.target.value, section: isPdf(e.target.value) ? '' : x.section } : x));
+            return (
+                <div key={i} className="compare-side">
+                    <span className="compare-label">{i ? 'B' : 'A'}</span>
+                    <select value={side.doc_id} onChange={choose}>
+                        <option value="">Document…</option>
+                        {docs.map(d => <option key={d.id} value={d.id}>{d.name}</option>)}
+                    </select>
+                    <input placeholder="Pages, e.g. 3-7" value={side.pages} onChange={set('pages')} maxLength={20} />
+                    {side.doc_id && !isPdf(side.doc_id) && (
+                        <input placeholder="Section heading" value={side.section} onChange={set('section')} maxLength={200} />
+                    )}
+                </div>
+            );
+        })}
+    </div>
+);
+
+// Cells hold document and model text: a leading = + - @ tab or CR would run as a
+// spreadsheet formula, so such cells are prefixed with ' to stay plain text
+const csvCell = (value) => {
+    const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// First markdown table in an answer as CSV, or null when there is none
+const plainCell = (cell) => cell.replace(/\*\*|__|`/g, '').trim();
+const answerTableCsv = (text) => {
+    const table = parseBlocks((text || '').replace(/\r\n?/g, '\n').split('\n')).find(b => b.type === 'table');
+    if (!table) return null;
+    return [table.head, ...table.rows.map(row => table.head.map((_, c) => row[c] || ''))]
+        .map(row => row.map(cell => csvCell(plainCell(cell))).join(','))
+        .join('\r\n');
+};
+
+// ── Structured extraction ───────────────────────────────────────────────────
+// The schema is edited here and kept in localStorage, since the same fields are
+// usually pulled from document after document. The backend validates every value
+// against its type and reports the passage and page it came from, or that it is
+// missing.
+const SCHEMA_STORAGE_KEY = 'rag_extract_schema';
+const FIELD_TYPES = ['text', 'number', 'date', 'boolean', 'list'];
+const MAX_SCHEMA_FIELDS = 20;  // backend.py MAX_EXTRACT_FIELDS
+const EMPTY_FIELD = { name: '', type: 'text', description: '' };
+
+const loadSchema = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SCHEMA_STORAGE_KEY));
+        if (Array.isArray(saved) && saved.length) {
+            return saved.slice(0, MAX_SCHEMA_FIELDS).map(f => ({
+                name: String(f.name ?? ''),
+                type: FIELD_TYPES.includes(f.type) ? f.type : 'text',
+                description: String(f.description ?? ''),
+            }));
+        }
+    } catch {}
+    return [EMPTY_FIELD];
+};
+
+// /ask_pdf schema, or an error message for the banner; blank rows are ignored
+const toSchemaPayload = (fields) => {
+    const schema = fields
+        .filter(f => f.name.trim() || f.description.trim())
+        .map(f => ({ name: f.name.trim(), type: f.type, description: f.description.trim() }));
+    if (!schema.length) return { error: 'Add at least one field to extract.' };
+    const unnamed = schema.find(f => !f.name);
+    if (unnamed) return { error: `Give the field described as "${unnamed.description}" a name.` };
+    const names = schema.map(f => f.name.toLowerCase());
+    const twice = schema.find((f, i) => names.indexOf(f.name.toLowerCase()) !== i);
+    if (twice) return { error: `Field "${twice.name}" is listed twice.` };
+    return { schema };
+};
+
+const SchemaEditor = ({ fields, onChange }) => {
+    const set = (i, key) => (e) => onChange(fs => fs.map((f, j) => j === i ? { ...f, [key]: e.target.value } : f));
+    const remove = (i) => onChange(fs => fs.length > 1 ? fs.filter((_, j) => j !== i) : [EMPTY_FIELD]);
+    return (
+        <div className="schema-editor">
+            {fields.map((field, i) => (
+                <div key={i} className="schema-field">
+                    <input placeholder="Field name, e.g. Effective date" value={field.name} onChange={set(i, 'name')} maxLength={60} />
+                    <select value={field.type} onChange={set(i, 'type')}>
+                        {FIELD_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+                    </select>
+                    <input placeholder="What to look for (optional)" value={field.description} onChange={set(i, 'description')} maxLength={200} />
+                    <button className="schema-remove" title="Remove field" onClick={() => remove(i)}>×</button>
+                </div>
+            ))}
+            {fields.length < MAX_SCHEMA_FIELDS && (
+                <button className="filter-add" onClick={() => onChange(fs => [...fs, EMPTY_FIELD])}>+ Field</button>
+            )}
+        </div>
+    );
+};
+
+const formatFieldValue = (value) =>
+    Array.isArray(value) ? value.join(', ') : typeof value === 'boolean' ? (value ? 'Yes' : 'No') : String(value);
+
+const describeFieldSource = (entry, sources) => {
+    const src = (sources || []).find(s => s.id === entry.source_id);
+    return src ? sourceLocation(src) : entry.page != null ? `p.${entry.page}` : null;
+};
+
+// Markdown rendering of the results; it is the turn's answer text for copy, history and reports
+const extractionMarkdown = ({ fields, rows, summary }, sources) => {
+    const cell = (v) => String(v).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    const value = (entry) => {
+        if (entry.status !== 'found') return `_${entry.status}_`;
+        const where = describeFieldSource(entry, sources);
+        return cell(formatFieldValue(entry.value)) + (entry.source_id ? ` [${entry.source_id}]` : where ? ` (${where})` : '');
+    };
+    return [
+        `| Document | ${fields.map(f => cell(f.name)).join(' | ')} |`,
+        `|---|${fields.map(() => '---').join('|')}|`,
+        ...rows.map(row => `| ${cell(row.doc_name)} | ${fields.map(f => value(row.fields[f.name])).join(' | ')} |`),
+        '',
+        summary,
+    ].join('\n');
+};
+
+// One line per document: each field's value and the page it came from, then what is missing
+const extractionCsv = ({ fields, rows }) => {
+    const head = ['Document', ...fields.flatMap(f => [f.name, `${f.name} (page)`]), 'Missing'];
+    const lines = rows.map(row => [
+        row.doc_name,
+        ...fields.flatMap(f => {
+            const entry = row.fields[f.name];
+            return entry.status === 'found' ? [formatFieldValue(entry.value), entry.page ?? ''] : ['', ''];
+        }),
+        row.missing.join('; '),
+    ]);
+    return [head, ...lines].map(line => line.map(v => csvCell(String(v))).join(',')).join('\r\n');
+};
+
+const ExtractionResults = ({ extraction, sources, onView }) => (
+    <div className="response-body">
+        <div className="md-table-wrap">
+            <table className="md-table extraction-table">
+                <thead>
+                    <tr><th>Document</th>{extraction.fields.map(f => <th key={f.name} title={f.description || undefined}>{f.name}</th>)}</tr>
+                </thead>
+                <tbody>
+                    {extraction.rows.map(row => (
+                        <tr key={row.doc_id}>
+                            <td title={row.error || undefined}>{row.doc_name}{row.error && ' ⚠'}</td>
+                            {extraction.fields.map(f => {
+                                const entry = row.fields[f.name];
+                                if (entry.status === 'invalid') {
+                                    return <td key={f.name}><span className="field-missing" title={`Not a valid ${f.type}: ${entry.raw}`}>invalid</span></td>;
+                                }
+                                if (entry.status !== 'found') {
+                                    return <td key={f.name}><span className="field-missing">missing</span></td>;
+                                }
+                                const src = (sources || []).find(s => s.id === entry.source_id);
+                                const where = describeFieldSource(entry, sources);
+                                return (
+                                    <td key={f.name}>
+                                        {formatFieldValue(entry.value)}
+                                        {where && (
+                                            <button
+                                                className="field-source"
+                                                title={src ? src.snippet : entry.location}
+                                                disabled={!src || src.unit === 'section' || !onView}
+                                                onClick={() => onView(src)}
+                                            >{where}</button>
+                                        )}
+                                    </td>
+                                );
+                            })}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+        <p className="extraction-summary">{extraction.summary}</p>
+    </div>
+);
+
+// ── Metrics & per-session stats ─────────────────────────────────────────────
+const formatCost = (cost) =>
+    cost == null ? null : cost === 0 ? 'free' : cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+
+const describeTokens = (t) =>
+    `${t.estimated ? '≈' : ''}${t.prompt.toLocaleString()} in / ${t.completion.toLocaleString()} out`;
+
+const SessionStats = ({ turns, docs }) => {
+    const answered = turns.filter(t => t.metrics);
+    const sum = (values) => values.reduce((a, b) => a + (b || 0), 0);
+    const avg = (values) => values.length ? (sum(values) / values.length).toFixed(2) : '—';
+    const withTokens = answered.filter(t => t.metrics.tokens);
+    const costs = answered.map(t => t.metrics.cost).filter(c => c != null);
+    const embedded = docs.filter(d => d.embedding);
+
+    const rows = [
+        ['Questions answered', answered.length],
+        ['Avg latency', `${avg(answered.map(t => t.metrics.latency))}s`],
+        ['Avg retrieval / generation', `${avg(answered.map(t => t.metrics.retrieval_time).filter(v => v != null))}s / ${avg(answered.map(t => t.metrics.generation_time).filter(v => v != null))}s`],
+        ['Tokens in / out', withTokens.length
+            ? `${withTokens.some(t => t.metrics.tokens.estimated) ? '≈' : ''}${sum(withTokens.map(t => t.metrics.tokens.prompt)).toLocaleString()} / ${sum(withTokens.map(t => t.metrics.tokens.completion)).toLocaleString()}`
+            : '—'],
+        ['Estimated cost', costs.length ? formatCost(sum(costs)) + (costs.length < answered.length ? ' (partial)' : '') : '—'],
+        ['Documents embedded / reused', `${embedded.length} / ${docs.length - embedded.length}`],
+        ['Embedding time', embedded.length ? `${sum(embedded.map(d => d.embedding.embedding_time)).toFixed(1)}s` : '—'],
+    ];
+
+    return (
+        <div className="stats">
+            {rows.map(([label, value]) => (
+                <div key={label} className="stats-row"><span>{label}</span><span>{value}</span></div>
+            ))}
+        </div>
+    );
+};
+
+// ── OCR reporting ───────────────────────────────────────────────────────────
+const pageList = (pages) => pages.length > 6 ? `${pages.slice(0, 6).join(', ')}…` : pages.join(', ');
+
+// A warning for the banner when scanned pages were read poorly or not at all, else null
+const ocrWarning = (name, report) => {
+    if (!report) return null;
+    if (report.unavailable) {
+        return `"${name}": ${report.skipped.length} scanned page${report.skipped.length === 1 ? '' : 's'} could not be read. ${report.unavailable}`;
+    }
+    const problems = [];
+    if (report.low_confidence.length) problems.push(`low OCR confidence on page${report.low_confidence.length === 1 ? '' : 's'} ${pageList(report.low_confidence)}`);
+    if (report.skipped.length) problems.push(`no text found on page${report.skipped.length === 1 ? '' : 's'} ${pageList(report.skipped)}`);
+    return problems.length ? `"${name}": ${problems.join('; ')} — answers citing them may contain misread words.` : null;
+};
+
+// ── Session export / import ─────────────────────────────────────────────────
+// A report is a plain snapshot of the collection and its finished turns. JSON
+// keeps everything needed to restore the thread; Markdown and the print view
+// are derived from the same object.
+const SESSION_FORMAT = 'rag-session';
+const SESSION_FORMAT_VERSION = 1;
+
+const buildReport = ({ collectionName, docs, turns }) => ({
+    format: SESSION_FORMAT,
+    version: SESSION_FORMAT_VERSION,
+    exported_at: new Date().toISOString(),
+    collection: collectionName,
+    documents: docs.map(({ id, name, pages, chunks }) => ({ id, name, pages, chunks })),
+    turns: turns.filter(t => !t.pending).map(t => ({
+        question: t.q,
+        answer: t.a,
+        sources: t.sources || [],
+        metrics: t.metrics || null,
+        stopped: !!t.stopped,
+        mode: t.mode || 'answer',
+        ...(t.extraction && { extraction: t.extraction }),
+        ...(t.debug && { debug: t.debug }),
+    })),
+});
+
+// Reads an exported JSON report back into thread turns; throws on anything else
+const parseReport = (raw) => {
+    const data = JSON.parse(raw);
+    if (!data || data.format !== SESSION_FORMAT || !Array.isArray(data.turns)) {
+        throw new Error('This file is not an exported research session.');
+    }
+    if (data.version > SESSION_FORMAT_VERSION) {
+        throw new Error('This session was exported by a newer version of the app.');
+    }
+    const base = Date.now();
+    return {
+        collection: typeof data.collection === 'string' ? data.collection : '',
+        documents: Array.isArray(data.documents) ? data.documents.filter(d => d && typeof d.id === 'string') : [],
+        turns: data.turns.map((t, i) => ({
+            id: base + i,
+            q: String(t.question ?? ''),
+            a: String(t.answer ?? ''),
+            sources: Array.isArray(t.sources) ? t.sources : [],
+            metrics: t.metrics && typeof t.metrics === 'object' ? t.metrics : null,
+            stopped: !!t.stopped,
+            mode: MODE_LABELS[t.mode] ? t.mode : 'answer',
+            extraction: t.extraction && Array.isArray(t.extraction.fields) && Array.isArray(t.extraction.rows) ? t.extraction : null,
+            debug: t.debug && Array.isArray(t.debug.candidates) && Array.isArray(t.debug.prompt) ? t.debug : null,
+            imported: true,
+        })),
+    };
+};
+
+const describeMetrics = (m) =>
+    [m.provider, m.model, m.latency != null && `${m.latency}s`, m.ttft != null && `TTFT ${m.ttft}s`,
+     m.tokens && `${describeTokens(m.tokens)} tokens`, formatCost(m.cost),
+     m.retrieval && describeRetrieval(m.retrieval)].filter(Boolean).join(' · ');
+
+const reportToMarkdown = (report) => {
+    const cell = (v) => String(v).replace(/\|/g, '\\|');
+    const out = [
+        `# ${report.collection || 'Research session'}`,
+        '',
+        `_Exported ${new Date(report.exported_at).toLocaleString()}_`,
+        '',
+        '## Documents',
+        '',
+        '| Document | Pages | Chunks |',
+        '|---|--:|--:|',
+        ...report.documents.map(d => `| ${cell(d.name)} | ${d.pages} | ${d.chunks} |`),
+        '',
+        '## Questions & answers',
+    ];
+    report.turns.forEach((t, i) => {
+        out.push('', `### ${i + 1}. ${t.question.replace(/\s+/g, ' ')}`, '', t.answer || '_No answer._');
+        if (t.stopped) out.push('', '_Generation was stopped before the answer finished._');
+        if (t.sources.length) {
+            out.push('', '**Sources**', '');
+            t.sources.forEach(s => out.push(
+                `- [${s.id}] ${s.doc_name ? `${s.doc_name}, ` : ''}${sourceLocation(s)}` +
+                `${s.score != null ? ` (${Math.round(s.score * 100)}%)` : ''} — “${(s.snippet || '').replace(/\s+/g, ' ')}”`
+            ));
+        }
+        if (t.metrics) out.push('', `_${describeMetrics(t.metrics)}_`);
+    });
+    return out.join('\n') + '\n';
+};
+
+const downloadFile = (filename, content, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const reportFilename = (report, ext) =>
+    `${(report.collection || 'session').replace(/[^\w-]+/g, '_').slice(0, 60)}-${report.exported_at.slice(0, 10)}.${ext}`;
+
+// Hidden on screen; the print stylesheet shows only this, so "Save as PDF" yields the report
+const PrintReport = ({ report }) => (
+    <div className="print-report">
+        <h1>{report.collection || 'Research session'}</h1>
+        <p className="print-meta">Exported {new Date(report.exported_at).toLocaleString()}</p>
+        <table className="md-table">
+            <thead><tr><th>Document</th><th>Pages</th><th>Chunks</th></tr></thead>
+            <tbody>
+                {report.documents.map(d => <tr key={d.id}><td>{d.name}</td><td>{d.pages}</td><td>{d.chunks}</td></tr>)}
+            </tbody>
+        </table>
+        {report.turns.map((t, i) => (
+            <section key={i} className="print-turn">
+                <h2>{i + 1}. {t.question}</h2>
+                <RenderResponse text={t.answer} />
+                {t.sources.length > 0 && (
+                    <ol className="print-sources">
+                        {t.sources.map(s => (
+                            <li key={s.id} value={s.id}>
+                                {s.doc_name ? `${s.doc_name}, ` : ''}{sourceLocation(s)}{s.score != null && ` (${Math.round(s.score * 100)}%)`} — “{s.snippet}”
+                            </li>
+                        ))}
+                    </ol>
+                )}
+                {t.metrics && <p className="print-meta">{describeMetrics(t.metrics)}</p>}
+            </section>
+        ))}
+    </div>
+);
+
+// ── Persistent query history (IndexedDB) ────────────────────────────────────
+// Every answered question is kept in this browser, tagged with the documents it
+// was asked against, so it outlives the thread, resets and reloads. Entries:
+// { id, question, answer, created_at, latency, doc_ids, doc_names, pinned, rerun }
+// where rerun is { answer, created_at, latency } of the latest re-run.
+const HISTORY_DB_NAME = 'rag-history';
+const HISTORY_STORE = 'entries';
+const MAX_HISTORY_ENTRIES = 300;   // oldest unpinned entries are pruned past this
+
+let historyDb = null;
+const openHistoryDb = () => {
+    if (!historyDb) {
+        historyDb = new Promise((resolve, reject) => {
+            if (!window.indexedDB) return reject(new Error('IndexedDB is not available in this browser.'));
+            const req = indexedDB.open(HISTORY_DB_NAME, 1);
+            req.onupgradeneeded = () => req.result.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+        historyDb.catch(() => { historyDb = null; });
+    }
+    return historyDb;
+};
+
+// Runs fn(store) in one transaction; resolves with the result of the request fn returns
+const historyTx = async (mode, fn) => {
+    const db = await openHistoryDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(HISTORY_STORE, mode);
+        const req = fn(tx.objectStore(HISTORY_STORE));
+        tx.oncomplete = () => resolve(req.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+};
+
+const loadHistory = () => historyTx('readonly', store => store.getAll());
+const putHistoryEntry = (entry) => historyTx('readwrite', store => store.put(entry));
+const deleteHistoryEntry = (id) => historyTx('readwrite', store => store.delete(id));
+
+// Entries to drop so that at most MAX_HISTORY_ENTRIES remain, oldest unpinned first
+const staleHistory = (entries) => entries
+    .filter(e => !e.pinned)
+    .sort((a, b) => a.created_at - b.created_at)
+    .slice(0, Math.max(entries.length - MAX_HISTORY_ENTRIES, 0));
+
+const matchesHistory = (entry, terms) => {
+    const text = `${entry.question}\n${entry.answer}\n${entry.rerun ? entry.rerun.answer : ''}`.toLowerCase();
+    return terms.every(t => text.includes(t));
+};
+
+// Word-level diff via longest common subsequence -> [{ type: 'same' | 'added' | 'removed', text }]
+const MAX_DIFF_CELLS = 4000000;
+const diffWords = (before, after) => {
+    const a = before.match(/\S+\s*/g) || [];
+    const b = after.match(/\S+\s*/g) || [];
+    if (a.length * b.length > MAX_DIFF_CELLS) {
+        return [{ type: 'removed', text: before }, { type: 'added', text: after }];
+    }
+    const same = (i, j) => a[i].trim() === b[j].trim();
+    // lcs[i][j] = length of the common subsequence of a[i:] and b[j:]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = same(i, j) ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const parts = [];
+    const push = (type, text) => {
+        const last = parts[parts.length - 1];
+        if (last && last.type === type) last.text += text;
+        else parts.push({ type, text });
+    };
+    let i = 0, j = 0;
+    while (i < a.length && j < b.length) {
+        if (same(i, j)) { push('same', b[j]); i++; j++; }
+        else if (lcs[i + 1][j] >= lcs[i][j + 1]) push('removed', a[i++]);
+        else push('added', b[j++]);
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+    return parts;
+};
+
+const AnswerDiff = ({ before, after }) => {
+    const parts = useMemo(() => diffWords(before, after), [before, after]);
+    if (!parts.some(p => p.type !== 'same')) {
+        return <div className="diff-note">The re-run gave exactly the same answer.</div>;
+    }
+    return (
+        <div className="diff">
+            {parts.map((p, i) =>
+                p.type === 'added' ? <ins key={i}>{p.text}</ins>
+                : p.type === 'removed' ? <del key={i}>{p.text}</del>
+                : <span key={i}>{p.text}</span>
+            )}
+        </div>
+    );
+};
+
+const HistorySidebar = ({ entries, docIds, busy, onRerun, onPin, onDelete, onClose }) => {
+    const [search, setSearch] = useState('');
+    const [scope, setScope]   = useState(docIds.length ? 'collection' : 'all');  // 'collection' | 'all' | 'pinned'
+    const [openId, setOpenId] = useState(null);   // entry showing its full answer
+    const [diffId, setDiffId] = useState(null);   // entry showing original vs re-run
+
+    const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+    const shown = entries
+        .filter(e => scope === 'all' || (scope === 'pinned' ? e.pinned : e.doc_ids.some(id => docIds.includes(id))))
+        .filter(e => matchesHistory(e, terms))
+        .sort((a, b) => (b.pinned - a.pinned) || (b.created_at - a.created_at));
+
+    return (
+        <aside className="history-panel">
+            <div className="viewer-header">
+                <span className="viewer-title">🕘 History · {entries.length}</span>
+                <button className="btn-sm" onClick={onClose}>✕</button>
+            </div>
+            <div className="history-tools">
+                <input
+                    className="history-search"
+                    placeholder="Search questions and answers…"
+                    value={search}
+                    onChange={(e) => setSearch(e.target.value)}
+                />
+                <div className="history-scopes">
+                    {[['collection', 'This collection'], ['all', 'All'], ['pinned', 'Pinned']].map(([id, label]) => (
+                        <button key={id} className={`btn-sm ${scope === id ? 'on' : ''}`} onClick={() => setScope(id)}>{label}</button>
+                    ))}
+                </div>
+            </div>
+            <div className="history-list">
+                {!shown.length && (
+                    <div className="diff-note">{entries.length ? 'No matching questions.' : 'Answered questions will appear here.'}</div>
+                )}
+                {shown.map(e => (
+                    <div key={e.id} className={`history-entry ${e.pinned ? 'pinned' : ''}`}>
+                        <button className="history-q" onClick={() => setOpenId(id => id === e.id ? null : e.id)}>{e.question}</button>
+                        <div className="history-meta">
+                            {new Date(e.created_at).toLocaleString()}
+                            {e.latency != null && ` · ${e.latency}s`}
+                            {e.doc_names.length > 0 && ` · ${e.doc_names.join(', ')}`}
+                        </div>
+                        {openId === e.id
+                            ? <div className="history-answer"><RenderResponse text={e.answer} /></div>
+                            : <div className="history-snippet">{e.answer.slice(0, 160)}{e.answer.length > 160 ? '…' : ''}</div>}
+                        <div className="history-actions">
+                            <button className={`btn-sm ${e.pinned ? 'on' : ''}`} onClick={() => onPin(e)}>{e.pinned ? '★ Pinned' : '☆ Pin'}</button>
+                            <button className="btn-sm" onClick={() => onRerun(e)} disabled={busy}
+                                    title="Ask again against the documents currently selected">↻ Re-run</button>
+                            {e.rerun && (
+                                <button className={`btn-sm ${diffId === e.id ? 'on' : ''}`} onClick={() => setDiffId(id => id === e.id ? null : e.id)}>
+                                    Diff
+                                </button>
+                            )}
+                            <button className="btn-sm red" onClick={() => onDelete(e)} title="Delete from history">✕</button>
+                        </div>
+                        {diffId === e.id && e.rerun && (
+                            <>
+                                <div className="history-meta">
+                                    Original {new Date(e.created_at).toLocaleString()} → re-run {new Date(e.rerun.created_at).toLocaleString()}
+                                </div>
+                                <AnswerDiff before={e.answer} after={e.rerun.answer} />
+                            </>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </aside>
+    );
+};
+
 // ── Main App ────────────────────────────────────────────────────────────────
 const App = () => {
     const [query, setQuery]           = useState('');
-    const [response, setResponse]     = useState('');
     const [loading, setLoading]       = useState(false);
     const [uploadLoading, setUploadLoading] = useState(false);
-    const [metrics, setMetrics]       = useState(null);
-    const [pdfFile, setPdfFile]       = useState(null);
-    const [pdfMeta, setPdfMeta]       = useState(null);   // { pages, chunks }
+    const [docs, setDocs]             = useState([]);     // [{ id, name, format, file, pages, chunks, selected }]
+    const [collectionName, setCollectionName] = useState('My Collection');
     const [message, setMessage]       = useState({ text: '', type: '' });
     const [dragOver, setDragOver]     = useState(false);
-    const [copied, setCopied]         = useState(false);
+    const [copied, setCopied]         = useState(null);   // id of the turn just copied
     const [uploadProgress, setUploadProgress] = useState(0);
-    const [queryHistory, setQueryHistory] = useState([]);
+    const [uploadDetail, setUploadDetail] = useState('');  // server-reported stage, e.g. "Embedding batch 2/5…"
+    const [queryHistory, setQueryHistory] = useState([]); // [{ id, q, a, metrics, pending }], oldest first
+    const [viewer, setViewer]         = useState(null);   // { docId, page, text } while the PDF panel is open (PDFs only)
+    const [library, setLibrary]       = useState([]);     // previously embedded docs: [{ hash, name, pages, chunks, added_at }]
+    const [libraryOpen, setLibraryOpen] = useState(false);
+    const [resumable, setResumable]   = useState(null);   // { file, uploadId } after a dropped chunked upload
+    const [overviewId, setOverviewId] = useState(null);   // doc whose overview/outline is expanded
+    const [printing, setPrinting]     = useState(null);   // report snapshot while the print dialog is up
+    const [retrieval, setRetrieval]   = useState(RETRIEVAL_DEFAULTS);
+    const [chunking, setChunking]     = useState(CHUNKING_DEFAULTS);
+    const [advancedOpen, setAdvancedOpen] = useState(false);
+    const [debugMode, setDebugMode]   = useState(false);  // ask for verbose retrieval traces
+    const [filters, setFilters]       = useState(NO_FILTERS);
+    const [mode, setMode]             = useState('answer');  // one of ANSWER_MODES
+    const [compareSides, setCompareSides] = useState([EMPTY_SIDE, EMPTY_SIDE]);
+    const [schemaFields, setSchemaFields] = useState(loadSchema);  // extract mode
+    const [statsOpen, setStatsOpen]   = useState(false);
+    const [historyEntries, setHistoryEntries] = useState([]);  // persistent history, see HISTORY_STORE
+    const [historyOpen, setHistoryOpen] = useState(false);
     const responseRef = useRef(null);
     const textareaRef = useRef(null);
+    const abortRef    = useRef(null);
+    const uploadRef   = useRef(null);   // { controller, uploadId, jobId } for the upload in flight
+    const sessionRef  = useRef(null);   // backend workspace id, issued lazily on first use
+    const libraryId   = useRef(getLibraryId()).current;
+
+    const [apiBaseUrl, setApiBaseUrl] = useState(resolveApiBaseUrl);
+    const [health, setHealth]         = useState({ status: 'checking' });
+    const [settingsOpen, setSettingsOpen] = useState(false);
+    const [waking, setWaking]         = useState(false);  // cold-start wake-up in progress
+
+    const api = useMemo(() => createApiClient({ baseUrl: apiBaseUrl, onWakeChange: setWaking }), [apiBaseUrl]);
+    const maxUpload = health.max_upload_bytes || 100 * 1024 * 1024;  // server's MAX_UPLOAD_MB, 100 until known
+    const MAX_HISTORY_TURNS = 5;            // prior turns sent along for follow-ups
+    const MAX_DOCUMENTS = 10;               // mirrors the backend's per-collection cap
+    const JOB_POLL_MS = 700;                // upload progress polling interval
+    const MAX_SUGGESTIONS = 8;              // suggested question chips shown at once
 
-    const API_BASE_URL = 'https://llm-research-assistant-2-0.onrender.com';
-    const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+    const selectedIds = docs.filter(d => d.selected).map(d => d.id);
+    // Questions generated at ingestion for the documents being searched, round-robin so each doc gets a turn
+    const suggestions = (() => {
+        const lists = docs.filter(d => d.selected && d.insights).map(d => d.insights.questions);
+        const merged = [];
+        for (let i = 0; merged.length < MAX_SUGGESTIONS && lists.some(l => i < l.length); i++) {
+            lists.forEach(l => i < l.length && merged.length < MAX_SUGGESTIONS && merged.push(l[i]));
+        }
+        return merged;
+    })();
+    const viewerDoc = viewer && docs.find(d => d.id === viewer.docId && d.file);
+    const activeMode = ANSWER_MODES.find(m => m.id === mode);
+    const canAsk = selectedIds.length > 0 && (!!query.trim() || !!activeMode.fallback);
+
+    useEffect(() => {
+        loadHistory().then(setHistoryEntries).catch(() => {
+            // Without IndexedDB (e.g. some private windows) history simply isn't kept
+        });
+    }, []);
 
-    // Auto-scroll to response
+    // Auto-scroll to the latest turn
     useEffect(() => {
-        if (response && responseRef.current) {
+        if (queryHistory.length && responseRef.current) {
             responseRef.current.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
         }
-    }, [response]);
+    }, [queryHistory]);
 
     const showMessage = (text, type) => setMessage({ text, type });
     const clearMessage = () => setMessage({ text: '', type: '' });
 
-    const processFile = useCallback(async (file) => {
-        if (!file) return;
+    // ── Session handling: every backend call carries our workspace id ──────
+    const ensureSession = async () => {
+        if (sessionRef.current) return sessionRef.current;
+        const data = await api.json('/session', { method: 'POST' });
+        sessionRef.current = data.session_id;
+        return data.session_id;
+    };
 
-        if (file.type !== 'application/pdf') {
-            showMessage('Please upload a PDF file.', 'error');
-            return;
+    const sessionRequest = async (path, options = {}) => {
+        const sessionId = await ensureSession();
+        return api.request(path, {
+            ...options,
+            headers: { ...(options.headers || {}), 'X-Session-Id': sessionId, 'X-Library-Id': libraryId },
+        });
+    };
+
+    const sessionJson = async (path, options) => (await sessionRequest(path, options)).json();
+
+    // The server dropped our workspace (idle expiry or restart): forget the
+    // local mirror of it so the UI never offers documents that no longer exist.
+    const expireSession = (text) => {
+        sessionRef.current = null;
+        setDocs([]);
+        setViewer(null);
+        setQueryHistory([]);
+        showMessage(text || 'Your session expired. Please upload your documents again.', 'error');
+    };
+
+    // Every failed call lands here so the banner always carries the backend's own message
+    const showError = (err) =>
+        err.code === 'session_expired' ? expireSession(err.message) : showMessage(err.message, 'error');
+
+    // ── Library: indexes the backend kept from earlier uploads ──────────────
+    const refreshLibrary = async () => {
+        try {
+            const data = await api.json('/documents', { headers: { 'X-Library-Id': libraryId }, wake: false });
+            setLibrary(data.documents);
+        } catch {
+            // Library is a convenience; an unreachable server is reported by the health probe
         }
-        if (file.size > MAX_FILE_SIZE) {
-            showMessage(`File is ${fmtSize(file.size)} — maximum is 10 MB.`, 'error');
-            return;
+    };
+
+    const probeHealth = async () => {
+        setHealth(h => ({ ...h, status: h.status === 'online' ? 'online' : 'checking' }));
+        try {
+            const headers = sessionRef.current ? { 'X-Session-Id': sessionRef.current } : {};
+            setHealth({ ...(await api.json('/health', { headers, timeout: 8000 })), status: 'online' });
+        } catch {
+            setHealth({ status: 'offline' });
         }
+    };
 
-        setPdfFile(file);
-        setPdfMeta(null);
-        setResponse('');
-        setMetrics(null);
-        setQueryHistory([]);
-        showMessage(`Vectorising "${file.name}"…`, 'info');
+    // Probe first so a sleeping server is woken once, then list the library from it
+    useEffect(() => { probeHealth().then(refreshLibrary); }, [api]);
+    useEffect(() => { if (docs.length) probeHealth(); }, [docs.length]);
+
+    // Documents and sessions belong to one backend, so switching starts a clean workspace
+    const changeBackend = (url) => {
+        const next = url.trim().replace(/\/+$/, '');
+        setSettingsOpen(false);
+        if (next === apiBaseUrl) return;
+        resetAll();
+        if (next === DEFAULT_API_BASE_URL) localStorage.removeItem(API_URL_STORAGE_KEY);
+        else localStorage.setItem(API_URL_STORAGE_KEY, next);
+        setLibrary([]);
+        setHealth({ status: 'checking' });
+        setApiBaseUrl(next);
+    };
+
+    const loadFromLibrary = async (entry) => {
+        if (docs.some(d => d.id === entry.hash) || uploadLoading) return;
+        showMessage(`Loading "${entry.name}" from your library…`, 'info');
+        try {
+            const data = await sessionJson(`/documents/${entry.hash}/load`, { method: 'POST' });
+            // The PDF itself is fetched only if the viewer is opened for it
+            setDocs(d => d.some(x => x.id === data.document.id) ? d : [...d, { ...data.document, file: null, selected: true }]);
+            showMessage(data.message, 'success');
+        } catch (err) {
+            showError(err);
+            if (err.status === 410) refreshLibrary();
+        }
+    };
+
+    // Open the viewer, downloading the original PDF first for library-loaded docs
+    const openViewer = async (docId, page = 1, text = '') => {
+        const doc = docs.find(d => d.id === docId);
+        if (!doc || (doc.format && doc.format !== 'pdf')) return;
+        if (!doc.file) {
+            try {
+                const res = await api.request(`/documents/${docId}/file`, { headers: { 'X-Library-Id': libraryId }, timeout: 60000 });
+                const file = new File([await res.blob()], doc.name, { type: 'application/pdf' });
+                setDocs(d => d.map(x => x.id === docId ? { ...x, file } : x));
+            } catch (err) {
+                showError(err);
+                return;
+            }
+        }
+        setViewer({ docId, page, text });
+    };
+
+    // Poll a background upload job, mirroring its real stage and progress, until it settles
+    const waitForJob = async (jobId) => {
+        while (true) {
+            await new Promise(r => setTimeout(r, JOB_POLL_MS));
+            const job = await sessionJson(`/jobs/${jobId}`);
+            setUploadProgress(job.progress);
+            setUploadDetail(job.detail);
+            if (job.status !== 'running') return job;
+        }
+    };
+
+    // Send a file in the server's part size, skipping parts it already holds, then ask it
+    // to assemble them. Part PUTs are idempotent, so the API client retries a dropped part on
+    // its own and resends it after waking a sleeping server.
+    const uploadInParts = async (file, signal, resumeId) => {
+        const upload = resumeId
+            ? await sessionJson(`/uploads/${resumeId}`)
+            : await sessionJson('/uploads', { method: 'POST', json: { filename: file.name, size: file.size } });
+        const id = upload.upload_id;
+        uploadRef.current.uploadId = id;
+
+        const held = new Set(upload.received);
+        let sent = upload.received_bytes;
+        const report = () => {
+            setUploadProgress(100 * sent / file.size);
+            setUploadDetail(`Uploading ${fmtSize(sent)} of ${fmtSize(file.size)}…`);
+        };
+        report();
+
+        for (let n = 0; n < upload.parts; n++) {
+            if (held.has(n)) continue;
+            const body = await file.slice(n * upload.part_size, (n + 1) * upload.part_size).arrayBuffer();
+            const checksum = await sha256Hex(body);
+            await sessionRequest(`/uploads/${id}/parts/${n}`, {
+                method: 'PUT',
+                body,
+                headers: { 'Content-Type': 'application/octet-stream', ...(checksum ? { 'X-Part-Sha256': checksum } : {}) },
+                signal,
+                timeout: 120000,
+                replay: true,
+            });
+            sent += body.byteLength;
+            report();
+        }
+
+        setUploadDetail('Verifying upload…');
+        return sessionRequest(`/uploads/${id}/complete`, {
+            method: 'POST',
+            json: { collection: collectionName, ...chunking },
+            signal,
+            timeout: 120000,
+        });
+    };
+
+    // Embeds one document and adds it to the collection; resolves to true on success.
+    // resumeId continues a chunked upload the server already holds part of.
+    const processFile = useCallback(async (file, resumeId = null) => {
+        if (!file) return false;
+
+        if (!detectFormat(file.name)) {
+            showMessage(`"${file.name}" isn't a supported format — upload PDF, DOCX, Markdown, text, HTML or EPUB.`, 'error');
+            return false;
+        }
+        if (file.size > maxUpload) {
+            showMessage(`"${file.name}" is ${fmtSize(file.size)} — maximum is ${fmtSize(maxUpload)}.`, 'error');
+            return false;
+        }
+
+        showMessage(`${resumeId ? 'Resuming' : 'Vectorising'} "${file.name}"…`, 'info');
+        setResumable(null);
         setUploadLoading(true);
         setUploadProgress(0);
+        setUploadDetail('Uploading…');
 
-        // Fake progress bar while server does the real work
-        const ticker = setInterval(() => {
-            setUploadProgress(p => p < 88 ? p + Math.random() * 6 : p);
-        }, 400);
-
-        const formData = new FormData();
-        formData.append('pdf', file);
+        const controller = new AbortController();
+        uploadRef.current = { controller, uploadId: null, jobId: null };
 
         try {
-            const res = await fetch(`${API_BASE_URL}/upload_pdf`, {
-                method: 'POST',
-                body: formData,
-            });
-            const data = await res.json();
-            clearInterval(ticker);
-            setUploadProgress(100);
+            const res = await uploadInParts(file, controller.signal, resumeId);
+            let data = await res.json();
+            setUploadProgress(0);
 
-            if (res.ok) {
-                setPdfMeta({ pages: data.pages, chunks: data.chunks });
-                showMessage('Document embedded — ready to query!', 'success');
+            // 202: embedding runs as a job; 200: the index was already on the server
+            if (res.status === 202) {
+                uploadRef.current.jobId = data.job_id;
+                data = await waitForJob(data.job_id);
+                if (data.status === 'cancelled') {
+                    showMessage(data.message, 'info');
+                    return false;
+                }
+                if (data.status !== 'done') {
+                    showMessage(data.message || 'Upload failed.', 'error');
+                    return false;
+                }
+            }
+
+            // Only a fresh embed reports metrics; reused indexes cost nothing this session
+            const embedding = data.metrics || null;
+            setUploadProgress(100);
+            setDocs(d => d.some(x => x.id === data.document.id) ? d : [...d, { ...data.document, file, embedding, selected: true }]);
+            const warning = ocrWarning(file.name, data.document.ocr);
+            showMessage(
+                warning || (data.message || `"${file.name}" embedded — ready to query!`) +
+                (embedding ? ` Parsed in ${embedding.parse_time}s, embedded in ${embedding.embedding_time}s.` : ''),
+                warning ? 'warning' : 'success'
+            );
+            refreshLibrary();
+            return true;
+        } catch (err) {
+            const { uploadId, jobId } = uploadRef.current;
+            if (isAbortError(err)) {
+                showMessage(`Upload of "${file.name}" was cancelled.`, 'info');
+                if (uploadId && !jobId) sessionRequest(`/uploads/${uploadId}`, { method: 'DELETE', retries: 0 }).catch(() => {});
+            } else if (uploadId && !jobId && (err.kind === 'network' || err.kind === 'timeout' || err.kind === 'server')) {
+                // The parts that arrived stay on the server for an hour; offer to send only the rest
+                setResumable({ file, uploadId });
+                showMessage(`${err.message} The upload of "${file.name}" can be resumed where it stopped.`, 'error');
             } else {
-                showMessage(data.message || 'Upload failed.', 'error');
-                setPdfFile(null);
+                showError(err);
             }
-        } catch {
-            clearInterval(ticker);
-            showMessage('Connection error. Please wait 10s and retry.', 'error');
-            setPdfFile(null);
+            return false;
         } finally {
+            uploadRef.current = null;
             setUploadLoading(false);
+            setUploadDetail('');
             setTimeout(() => setUploadProgress(0), 800);
         }
-    }, []);
+    }, [collectionName, chunking, maxUpload, api]);
+
+    // Before the job exists, abort the transfer itself; afterwards ask the server to stop
+    // between embedding batches and let polling report the cancelled state.
+    const cancelUpload = async () => {
+        const upload = uploadRef.current;
+        if (!upload) return;
+        if (!upload.jobId) {
+            upload.controller.abort();
+            return;
+        }
+        setUploadDetail('Cancelling…');
+        try {
+            await sessionRequest(`/jobs/${upload.jobId}`, { method: 'DELETE' });
+        } catch (err) {
+            showError(err);
+        }
+    };
+
+    // Embed several documents one after another; stop at the first failure so its error stays visible
+    const processFiles = async (fileList) => {
+        const files = Array.from(fileList || []);
+        if (docs.length + files.length > MAX_DOCUMENTS) {
+            showMessage(`A collection holds at most ${MAX_DOCUMENTS} documents.`, 'error');
+            return;
+        }
+        for (const file of files) {
+            if (!(await processFile(file))) break;
+        }
+    };
 
-    const handleFileInput = (e) => processFile(e.target.files[0]);
+    const handleFileInput = (e) => {
+        processFiles(e.target.files);
+        e.target.value = '';
+    };
 
     const handleDrop = (e) => {
         e.preventDefault();
         setDragOver(false);
-        processFile(e.dataTransfer.files[0]);
+        processFiles(e.dataTransfer.files);
     };
 
-    const handleQuery = async () => {
-        if (!query.trim() || !pdfFile || loading) return;
+    const toggleDoc = (id) =>
+        setDocs(d => d.map(doc => doc.id === id ? { ...doc, selected: !doc.selected } : doc));
+
+    const removeDoc = async (doc) => {
+        try {
+            await sessionRequest(`/collection/documents/${doc.id}`, { method: 'DELETE' });
+        } catch (err) {
+            // A 404 means the server already forgot it — drop it locally either way
+            if (err.status !== 404) {
+                showError(err);
+                return;
+            }
+        }
+        setDocs(d => d.filter(x => x.id !== doc.id));
+        setViewer(v => v && v.docId === doc.id ? null : v);
+        showMessage(`"${doc.name}" removed from the collection.`, 'info');
+    };
+
+    const saveCollectionName = async () => {
+        const name = collectionName.trim() || 'My Collection';
+        setCollectionName(name);
+        if (!sessionRef.current) return;  // nothing on the server to rename yet
+        try {
+            await sessionRequest('/collection', { method: 'POST', json: { name } });
+        } catch {
+            // The name is also sent with every upload, so a missed rename is harmless
+        }
+    };
+
+    // ── Persistent history ──────────────────────────────────────────────────
+    const saveHistory = (entry) => {
+        const stale = staleHistory([...historyEntries.filter(e => e.id !== entry.id), entry]);
+        setHistoryEntries(h => [...h.filter(e => e.id !== entry.id && !stale.some(s => s.id === e.id)), entry]);
+        // Best effort: the thread still has the answer if the browser refuses the write
+        putHistoryEntry(entry).catch(() => {});
+        stale.forEach(e => deleteHistoryEntry(e.id).catch(() => {}));
+    };
+
+    const removeHistory = (entry) => {
+        setHistoryEntries(h => h.filter(e => e.id !== entry.id));
+        deleteHistoryEntry(entry.id).catch(() => {});
+    };
+
+    useEffect(() => {
+        localStorage.setItem(SCHEMA_STORAGE_KEY, JSON.stringify(schemaFields));
+    }, [schemaFields]);
+
+    // A completed answer becomes a new entry, or the latest re-run of the entry it came from
+    const rememberAnswer = (question, answer, metrics, rerunOf, asked) => {
+        const now = Date.now();
+        const latency = metrics ? metrics.latency : null;
+        if (rerunOf) {
+            saveHistory({ ...rerunOf, rerun: { answer, created_at: now, latency } });
+            return;
+        }
+        const used = docs.filter(d => d.selected);
+        saveHistory({
+            id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+            question, answer, created_at: now, latency,
+            mode: asked.mode,
+            ...(asked.compare && { compare: asked.compare }),
+            ...(asked.schema && { schema: asked.schema }),
+            doc_ids: used.map(d => d.id),
+            doc_names: used.map(d => d.name),
+            pinned: false,
+        });
+    };
+
+    // Asks the typed query, or `text` when a suggested question chip is clicked or a
+    // history entry (`rerunOf`) is re-run in the mode it was first asked in
+    const handleQuery = async (text, rerunOf = null) => {
+        const askMode = rerunOf ? rerunOf.mode || 'answer' : mode;
+        const fallback = ANSWER_MODES.find(m => m.id === askMode).fallback || '';
+        const question = (typeof text === 'string' ? text : query).trim() || fallback;
+        if (!question || !selectedIds.length || loading) return;
+        let compare = null;
+        if (askMode === 'compare') {
+            const parsed = rerunOf ? { sides: rerunOf.compare } : toCompareSides(compareSides);
+            if (parsed.error) return showMessage(parsed.error, 'error');
+            compare = parsed.sides;
+        }
+        let schema = null;
+        if (askMode === 'extract') {
+            const parsed = rerunOf ? { schema: rerunOf.schema } : toSchemaPayload(schemaFields);
+            if (parsed.error) return showMessage(parsed.error, 'error');
+            schema = parsed.schema;
+        }
+        const turnId = Date.now();
+        // Only completed turns give the model context for follow-ups
+        const history = queryHistory
+            .filter(t => !t.pending)
+            .slice(-MAX_HISTORY_TURNS)
+            .map(t => ({ question: t.q, answer: t.a }));
+
         setLoading(true);
-        setResponse('');
-        setMetrics(null);
+        setQuery('');
         clearMessage();
+        setQueryHistory(h => [...h, { id: turnId, q: question, a: '', metrics: null, pending: true, rerun: !!rerunOf, mode: askMode }]);
+
+        const updateTurn = (patch) =>
+            setQueryHistory(h => h.map(t => t.id === turnId ? { ...t, ...patch } : t));
+        const dropTurn = () => {
+            setQueryHistory(h => h.filter(t => t.id !== turnId));
+            setQuery(question);
+        };
+        // Keep whatever streamed in before a stop or failure; drop the turn if nothing did
+        let answer = '';
+        let metrics = null;
+        const settlePartial = () => answer ? updateTurn({ pending: false, stopped: true }) : dropTurn();
+
+        const controller = new AbortController();
+        abortRef.current = controller;
 
         try {
-            const res = await fetch(`${API_BASE_URL}/ask_pdf`, {
+            const res = await sessionRequest('/ask_pdf', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ query }),
+                json: {
+                    query: question, history, document_ids: selectedIds, retrieval,
+                    // Summaries read everything and each compare side carries its own range
+                    filters: askMode === 'summary' || askMode === 'compare' ? null : toFilterPayload(filters),
+                    mode: askMode, ...(compare && { compare }), ...(schema && { schema }),
+                    verbose: debugMode, stream: true,
+                },
+                signal: controller.signal,
+                timeout: 60000,
             });
-            const data = await res.json();
 
-            if (res.ok) {
-                setResponse(data.response);
-                setMetrics(data.metrics);
-                setQueryHistory(h => [{ q: query, a: data.response, metrics: data.metrics }, ...h.slice(0, 4)]);
+            let failed = null;
+            let sources = [];
+            await readNdjson(res, (event) => {
+                if (event.type === 'status') {
+                    updateTurn({ status: event.detail });
+                } else if (event.type === 'sources') {
+                    sources = event.sources;
+                    updateTurn({ sources });
+                } else if (event.type === 'extraction') {
+                    answer = extractionMarkdown(event.extraction, sources);
+                    updateTurn({ extraction: event.extraction, a: answer });
+                } else if (event.type === 'token') {
+                    answer += event.text;
+                    updateTurn({ a: answer });
+                } else if (event.type === 'debug') {
+                    updateTurn({ debug: event.debug });
+                } else if (event.type === 'metrics') {
+                    metrics = event.metrics;
+                    updateTurn({ metrics, pending: false });
+                } else if (event.type === 'error') {
+                    failed = event.message;
+                }
+            });
+
+            if (failed) {
+                settlePartial();
+                showMessage(failed, 'error');
             } else {
-                showMessage(data.message || 'Query failed.', 'error');
+                updateTurn({ pending: false });
+                if (answer) rememberAnswer(question, answer, metrics, rerunOf, { mode: askMode, compare, schema });
             }
-        } catch {
-            showMessage('Backend error — the server may be restarting. Try again shortly.', 'error');
+        } catch (err) {
+            settlePartial();
+            if (!isAbortError(err)) showError(err);
         } finally {
+            abortRef.current = null;
             setLoading(false);
         }
     };
 
+    const stopQuery = () => abortRef.current?.abort();
+
     const handleKeyDown = (e) => {
         if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) handleQuery();
     };
 
-    const copyResponse = async () => {
-        await navigator.clipboard.writeText(response);
-        setCopied(true);
-        setTimeout(() => setCopied(false), 2000);
+    const copyResponse = async (turn) => {
+        await navigator.clipboard.writeText(turn.a);
+        setCopied(turn.id);
+        setTimeout(() => setCopied(c => c === turn.id ? null : c), 2000);
+    };
+
+    const turnFilename = (turn, ext) =>
+        `${turn.q.replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 60) || 'table'}.${ext}`;
+
+    const downloadCsv = (turn) => {
+        const csv = turn.extraction ? extractionCsv(turn.extraction) : answerTableCsv(turn.a);
+        downloadFile(turnFilename(turn, 'csv'), csv, 'text/csv');
+    };
+
+    const downloadJson = (turn) => {
+        const { fields, rows } = turn.extraction;
+        downloadFile(turnFilename(turn, 'json'), JSON.stringify({ question: turn.q, fields, rows }, null, 2), 'application/json');
+    };
+
+    // ── Export / import of the whole thread ─────────────────────────────────
+    const currentReport = () => buildReport({ collectionName, docs, turns: queryHistory });
+
+    const exportSession = (kind) => {
+        const report = currentReport();
+        if (kind === 'json') {
+            downloadFile(reportFilename(report, 'json'), JSON.stringify(report, null, 2), 'application/json');
+        } else if (kind === 'md') {
+            downloadFile(reportFilename(report, 'md'), reportToMarkdown(report), 'text/markdown');
+        } else {
+            setPrinting(report);
+        }
+    };
+
+    // Render the print view first, then open the dialog; clear it once the dialog closes
+    useEffect(() => {
+        if (!printing) return;
+        const done = () => setPrinting(null);
+        window.addEventListener('afterprint', done, { once: true });
+        window.print();
+        return () => window.removeEventListener('afterprint', done);
+    }, [printing]);
+
+    // Restores the thread read-only; documents still in the library are reloaded so follow-ups work
+    const importSession = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        let imported;
+        try {
+            imported = parseReport(await file.text());
+        } catch (err) {
+            showMessage(err instanceof SyntaxError ? `"${file.name}" is not valid JSON.` : err.message, 'error');
+            return;
+        }
+        setQueryHistory(imported.turns);
+        if (imported.collection) setCollectionName(imported.collection);
+
+        const missing = [];
+        for (const doc of imported.documents) {
+            const entry = library.find(l => l.hash === doc.id);
+            if (entry) await loadFromLibrary(entry);
+            else if (!docs.some(d => d.id === doc.id)) missing.push(doc.name);
+        }
+        showMessage(
+            `Restored ${imported.turns.length} question${imported.turns.length === 1 ? '' : 's'} from "${file.name}".` +
+            (missing.length ? ` Re-upload ${missing.join(', ')} to ask follow-ups about ${missing.length === 1 ? 'it' : 'them'}.` : ''),
+            missing.length ? 'info' : 'success'
+        );
     };
 
     const resetAll = () => {
-        setPdfFile(null); setPdfMeta(null); setResponse(''); setMetrics(null);
+        // Ending the session frees every index it holds; the next upload starts a fresh one
+        const sessionId = sessionRef.current;
+        sessionRef.current = null;
+        if (sessionId) {
+            api.request('/session', { method: 'DELETE', headers: { 'X-Session-Id': sessionId }, wake: false }).catch(() => {});
+        }
+        setDocs([]); setViewer(null);
         setQuery(''); clearMessage(); setQueryHistory([]);
     };
 
@@ -205,6 +1989,9 @@ const App = () => {
             /* Layout */
             .page   { min-height: 100vh; display: flex; flex-direction: column; align-items: center; padding: 56px 16px 80px; position: relative; overflow-x: hidden; }
             .main   { width: 100%; max-width: 760px; display: flex; flex-direction: column; gap: 20px; position: relative; z-index: 1; }
+            .workspace { width: 100%; display: flex; justify-content: center; align-items: flex-start; gap: 20px; }
+            .workspace.with-viewer, .workspace.with-history { max-width: 1340px; }
+            @media (max-width: 1100px) { .workspace.with-viewer, .workspace.with-history { flex-direction: column; align-items: center; } }
 
             /* Ambient blobs */
             .blob { position: fixed; border-radius: 50%; filter: blur(120px); pointer-events: none; z-index: 0; }
@@ -219,6 +2006,19 @@ const App = () => {
             .title  { font-size: clamp(2rem, 5vw, 3.2rem); font-weight: 800; background: linear-gradient(135deg, #a5b4fc 0%, #e879f9 60%, #818cf8 100%); -webkit-background-clip: text; -webkit-text-fill-color: transparent; line-height: 1.15; margin-bottom: 12px; }
             .subtitle { font-size: 1rem; color: var(--muted); max-width: 460px; margin: 0 auto; line-height: 1.6; }
 
+            /* Backend status */
+            .status-bar { display: inline-flex; flex-wrap: wrap; justify-content: center; align-items: center; gap: 14px; margin-top: 18px; padding: 6px 14px; border-radius: 999px; border: 1px solid var(--border); background: rgba(255,255,255,.02); }
+            .status-item { display: inline-flex; align-items: center; gap: 6px; font-size: 11px; font-family: 'DM Mono', monospace; color: var(--muted); }
+            .status-dot { width: 7px; height: 7px; border-radius: 50%; background: var(--muted); }
+            .status-dot.ok { background: var(--green); box-shadow: 0 0 6px rgba(0,229,160,.6); }
+            .status-dot.off { background: var(--red); }
+            .status-dot.pending { background: var(--amber); animation: pulse 1.2s ease-in-out infinite; }
+            .status-url { background: none; border: none; border-left: 1px solid var(--border); padding-left: 12px; color: #a5b4fc; font-size: 11px; font-family: 'DM Mono', monospace; cursor: pointer; max-width: 260px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+            .settings-input { width: 100%; padding: 10px 14px; background: rgba(0,0,0,.3); color: var(--text); border: 1px solid var(--border); border-radius: 8px; font-family: 'DM Mono', monospace; font-size: 0.8rem; outline: none; }
+            .settings-input:focus { border-color: rgba(108,99,255,.5); }
+            .settings-actions { display: flex; gap: 8px; justify-content: flex-end; margin-top: 10px; }
+            .settings-hint { font-size: 11px; color: var(--muted); margin-top: 10px; }
+
             /* Cards */
             .card { background: var(--surface); border: 1px solid var(--border); border-radius: var(--radius); padding: 24px; position: relative; overflow: hidden; }
             .card::before { content: ''; position: absolute; inset: 0; border-radius: var(--radius); background: linear-gradient(135deg, rgba(108,99,255,.04), transparent 60%); pointer-events: none; }
@@ -240,15 +2040,39 @@ const App = () => {
             .drop-secondary { font-size: 0.75rem; color: var(--muted); }
 
             .file-info { display: flex; align-items: center; gap: 10px; padding: 10px 14px; background: rgba(0,229,160,.06); border: 1px solid rgba(0,229,160,.2); border-radius: 8px; margin-top: 12px; }
+            .file-info.off { opacity: .5; background: rgba(255,255,255,.02); border-color: var(--border); }
+            .doc-toggle { accent-color: var(--green); width: 14px; height: 14px; cursor: pointer; flex-shrink: 0; }
+            .collection-name { margin-left: auto; max-width: 220px; padding: 4px 10px; border-radius: 6px; border: 1px solid var(--border); background: rgba(0,0,0,.25); color: #a5b4fc; font-family: 'DM Mono', monospace; font-size: 11.5px; outline: none; }
+            .collection-name:focus { border-color: rgba(108,99,255,.5); }
             .file-name { font-size: 0.85rem; font-weight: 500; color: var(--green); flex: 1; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
             .file-badges { display: flex; gap: 6px; flex-shrink: 0; }
             .pill { padding: 2px 8px; border-radius: 999px; font-size: 10.5px; font-weight: 600; font-family: 'DM Mono', monospace; }
             .pill-green { background: rgba(0,229,160,.15); color: var(--green); border: 1px solid rgba(0,229,160,.25); }
             .pill-purple { background: rgba(108,99,255,.15); color: #a5b4fc; border: 1px solid rgba(108,99,255,.25); }
+            .pill.clickable { cursor: pointer; }
+            .doc-overview { margin: 6px 0 0 24px; padding: 10px 14px; border-left: 2px solid rgba(108,99,255,.35); font-size: 12.5px; line-height: 1.6; color: var(--text); }
+            .doc-outline { margin: 8px 0 0 18px; color: var(--muted); font-size: 12px; }
+            .suggestions { display: flex; flex-wrap: wrap; gap: 6px; margin-top: 10px; }
+            .suggestion { padding: 4px 10px; border-radius: 999px; border: 1px solid rgba(108,99,255,.3); background: rgba(108,99,255,.08); color: #a5b4fc; font-size: 11.5px; cursor: pointer; text-align: left; }
+            .suggestion:hover { background: rgba(108,99,255,.18); }
+            .pill-amber { background: rgba(251,191,36,.12); color: var(--amber); border: 1px solid rgba(251,191,36,.3); }
             .pill-red { background: rgba(255,77,109,.12); color: var(--red); border: 1px solid rgba(255,77,109,.25); cursor: pointer; }
 
+            /* Library */
+            .library { margin-top: 14px; padding-top: 12px; border-top: 1px solid var(--border); }
+            .library-toggle { background: none; border: none; color: #a5b4fc; font-family: 'DM Mono', monospace; font-size: 11.5px; cursor: pointer; padding: 0; }
+            .library-grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 8px; margin-top: 10px; }
+            .library-item { display: flex; flex-direction: column; gap: 4px; text-align: left; padding: 10px 12px; border-radius: 8px; border: 1px solid var(--border); background: rgba(255,255,255,.03); color: var(--text); cursor: pointer; transition: all .15s; font-family: 'DM Sans', sans-serif; }
+            .library-item:hover:not(:disabled) { border-color: rgba(108,99,255,.4); background: rgba(108,99,255,.08); }
+            .library-item.loaded { border-color: rgba(0,229,160,.25); cursor: default; }
+            .library-item:disabled:not(.loaded) { opacity: .5; cursor: not-allowed; }
+            .library-name { font-size: 0.8rem; font-weight: 500; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+            .library-meta { font-size: 10.5px; font-family: 'DM Mono', monospace; color: var(--muted); }
+
             /* Progress bar */
             .progress-wrap { margin-top: 12px; height: 3px; background: rgba(255,255,255,.07); border-radius: 99px; overflow: hidden; }
+            .progress-footer { display: flex; justify-content: space-between; align-items: center; margin-top: 8px; }
+            .progress-detail { font-size: 11px; font-family: 'DM Mono', monospace; color: var(--muted); }
             .progress-bar  { height: 100%; background: linear-gradient(90deg, var(--accent), var(--accent2)); border-radius: 99px; transition: width .3s ease; }
 
             /* Textarea */
@@ -258,7 +2082,46 @@ const App = () => {
             .query-box:disabled { opacity: .4; cursor: not-allowed; }
             .query-footer { display: flex; justify-content: space-between; align-items: center; margin-top: 8px; }
             .char-count { font-size: 11px; color: var(--muted); font-family: 'DM Mono', monospace; }
+            .mode-tabs { display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 10px; }
+            .compare-sides { display: flex; flex-direction: column; gap: 6px; margin-bottom: 10px; }
+            .compare-side { display: flex; align-items: center; gap: 6px; }
+            .compare-side select, .compare-side input { padding: 5px 8px; border-radius: 6px; border: 1px solid var(--border); background: rgba(255,255,255,.04); color: var(--text); font-size: 12px; min-width: 0; }
+            .compare-side select { flex: 2; }
+            .compare-side input { flex: 1; }
+            .compare-label, .citation-side { display: inline-flex; align-items: center; justify-content: center; width: 20px; height: 20px; border-radius: 50%; background: rgba(224,64,251,.2); color: #e879f9; font-size: 10.5px; font-weight: 700; font-family: 'DM Mono', monospace; flex-shrink: 0; }
+            .citation-side { width: 16px; height: 16px; font-size: 9.5px; }
+            .schema-editor { display: flex; flex-direction: column; align-items: flex-start; gap: 6px; margin-bottom: 10px; }
+            .schema-field { display: flex; align-items: center; gap: 6px; width: 100%; }
+            .schema-field select, .schema-field input { padding: 5px 8px; border-radius: 6px; border: 1px solid var(--border); background: rgba(255,255,255,.04); color: var(--text); font-size: 12px; min-width: 0; }
+            .schema-field input:first-child { flex: 1; }
+            .schema-field input:nth-child(3) { flex: 2; }
+            .schema-remove { background: none; border: none; color: var(--muted); cursor: pointer; font-size: 14px; padding: 0 4px; }
+            .schema-remove:hover { color: var(--red); }
+            .field-source { margin-left: 6px; padding: 1px 6px; border-radius: 999px; border: 1px solid rgba(108,99,255,.25); background: rgba(108,99,255,.08); color: #a5b4fc; font-size: 10.5px; font-family: 'DM Mono', monospace; cursor: pointer; }
+            .field-source:disabled { cursor: default; }
+            .field-missing { padding: 1px 6px; border-radius: 999px; background: rgba(255,77,109,.12); color: var(--red); font-size: 10.5px; font-family: 'DM Mono', monospace; }
+            .extraction-summary { margin-top: 8px; font-size: 12px; color: var(--muted); }
+            .filters { display: flex; flex-wrap: wrap; align-items: center; gap: 6px; margin-top: 10px; }
+            .filters-label { font-size: 10.5px; font-weight: 600; letter-spacing: .06em; text-transform: uppercase; color: var(--muted); }
+            .filter-chip { display: inline-flex; align-items: center; gap: 6px; padding: 3px 6px 3px 10px; border-radius: 999px; background: rgba(224,64,251,.12); border: 1px solid rgba(224,64,251,.3); color: #e879f9; font-size: 11.5px; font-family: 'DM Mono', monospace; }
+            .filter-chip button { background: none; border: none; color: inherit; cursor: pointer; font-size: 10px; opacity: .7; }
+            .filter-chip button:hover { opacity: 1; }
+            .filter-add { padding: 3px 10px; border-radius: 999px; border: 1px dashed var(--border); background: none; color: var(--muted); font-size: 11.5px; font-family: 'DM Mono', monospace; cursor: pointer; }
+            .filter-add:hover { color: #a5b4fc; border-color: rgba(108,99,255,.4); }
+            .filter-add.suggested { border-color: rgba(224,64,251,.35); color: #e879f9; }
+            .filter-input { width: 160px; padding: 3px 10px; border-radius: 999px; border: 1px solid rgba(108,99,255,.5); background: rgba(0,0,0,.25); color: var(--text); font-size: 11.5px; font-family: 'DM Mono', monospace; outline: none; }
+            .filter-input.invalid { border-color: var(--red); }
             .hint-text  { font-size: 11px; color: var(--muted); }
+            .advanced { margin-top: 12px; padding: 12px 14px; border: 1px solid var(--border); border-radius: 10px; background: rgba(0,0,0,.2); display: flex; flex-direction: column; gap: 12px; align-items: flex-start; }
+            .adv-group { display: flex; flex-wrap: wrap; align-items: flex-end; gap: 12px; }
+            .adv-title { width: 100%; font-size: 10.5px; font-weight: 600; letter-spacing: .06em; text-transform: uppercase; color: var(--muted); }
+            .adv-field { display: flex; flex-direction: column; gap: 4px; font-size: 11px; color: #a5b4fc; font-family: 'DM Mono', monospace; }
+            .adv-field.off { opacity: .4; }
+            .adv-field input[type=number], .adv-field select { width: 96px; padding: 5px 8px; border-radius: 6px; border: 1px solid var(--border); background: rgba(255,255,255,.04); color: var(--text); font-family: 'DM Mono', monospace; font-size: 12px; }
+            .adv-field select { width: 140px; }
+            .adv-field input[type=range] { width: 130px; accent-color: var(--accent); }
+            .adv-check { display: flex; align-items: center; gap: 6px; font-size: 11.5px; color: #a5b4fc; font-family: 'DM Mono', monospace; cursor: pointer; }
+            .adv-check input { accent-color: var(--accent); }
 
             /* Buttons */
             .btn-primary { width: 100%; padding: 14px; border-radius: 10px; font-family: 'Syne', sans-serif; font-weight: 700; font-size: 0.95rem; letter-spacing: .02em; border: none; cursor: pointer; transition: all .2s; display: flex; align-items: center; justify-content: center; gap: 8px; }
@@ -270,6 +2133,7 @@ const App = () => {
             .btn-sm { padding: 5px 12px; border-radius: 6px; font-size: 11.5px; font-weight: 600; border: 1px solid var(--border); background: rgba(255,255,255,.04); color: var(--muted); cursor: pointer; transition: all .15s; font-family: 'DM Mono', monospace; }
             .btn-sm:hover { background: rgba(255,255,255,.08); color: var(--text); }
             .btn-sm.green { border-color: rgba(0,229,160,.3); color: var(--green); }
+            .btn-sm.red   { border-color: rgba(255,77,109,.3); color: var(--red); }
 
             /* Spinner */
             .spinner { width: 16px; height: 16px; border: 2px solid rgba(255,255,255,.2); border-top-color: #fff; border-radius: 50%; animation: spin .7s linear infinite; }
@@ -279,6 +2143,7 @@ const App = () => {
             .banner { padding: 12px 18px; border-radius: 10px; font-size: 0.875rem; font-weight: 500; display: flex; align-items: center; gap: 10px; }
             .banner.error   { background: rgba(255,77,109,.08); border: 1px solid rgba(255,77,109,.25); color: #fca5a5; }
             .banner.success { background: rgba(0,229,160,.07); border: 1px solid rgba(0,229,160,.2); color: var(--green); }
+            .banner.warning { background: rgba(251,191,36,.08); border: 1px solid rgba(251,191,36,.25); color: var(--amber); }
             .banner.info    { background: rgba(108,99,255,.08); border: 1px solid rgba(108,99,255,.2); color: #a5b4fc; }
 
             /* Response card */
@@ -289,21 +2154,140 @@ const App = () => {
             .response-title::before { content: ''; width: 8px; height: 8px; border-radius: 50%; background: var(--accent); flex-shrink: 0; }
             .response-meta  { display: flex; align-items: center; gap: 8px; }
             .latency-badge  { padding: 3px 10px; border-radius: 999px; background: rgba(0,0,0,.3); border: 1px solid var(--border); font-size: 11px; font-family: 'DM Mono', monospace; color: var(--muted); }
+            .provider-badge { padding: 3px 10px; border-radius: 999px; font-size: 11px; font-family: 'DM Mono', monospace; background: rgba(108,99,255,.1); border: 1px solid rgba(108,99,255,.25); color: #a5b4fc; }
+            .provider-badge.local { background: rgba(0,229,160,.08); border-color: rgba(0,229,160,.25); color: var(--green); }
+
+            /* Conversation thread */
+            .thread { display: flex; flex-direction: column; gap: 14px; max-height: 72vh; overflow-y: auto; padding-right: 4px; }
+            .thread::-webkit-scrollbar { width: 6px; }
+            .thread::-webkit-scrollbar-thumb { background: rgba(255,255,255,.08); border-radius: 99px; }
+            .turn-q { align-self: flex-end; max-width: 85%; padding: 10px 14px; border-radius: 12px 12px 4px 12px; background: rgba(108,99,255,.14); border: 1px solid rgba(108,99,255,.25); color: var(--text); font-size: 0.875rem; line-height: 1.6; white-space: pre-wrap; }
+            .turn-pending { display: flex; align-items: center; gap: 10px; color: var(--muted); font-size: 0.85rem; }
+            .streaming .response-body > :last-child::after { content: '▍'; color: var(--accent); margin-left: 2px; animation: pulse 1s ease-in-out infinite; }
 
             /* Response body */
             .response-body { font-size: 0.9rem; line-height: 1.75; color: #cbd5e1; }
-            .response-body p { margin-bottom: 10px; }
-            .response-body p:last-child { margin-bottom: 0; }
-            .response-body .spacer { height: 6px; }
-            .list-item { display: flex; gap: 10px; margin-bottom: 6px; }
-            .list-num  { color: var(--accent); font-weight: 700; font-family: 'DM Mono', monospace; min-width: 22px; flex-shrink: 0; }
-            .bullet-dot { color: var(--accent2); font-size: 0.65em; margin-top: 5px; flex-shrink: 0; }
+            .response-body > * + * { margin-top: 10px; }
+            .response-body a { color: #a5b4fc; text-decoration: underline; text-underline-offset: 2px; }
+            .response-body a:hover { color: var(--text); }
+            .md-h  { font-family: 'Syne', sans-serif; color: var(--text); line-height: 1.35; margin-top: 18px; }
+            .md-h1 { font-size: 1.25rem; } .md-h2 { font-size: 1.1rem; } .md-h3 { font-size: 1rem; }
+            .md-h4, .md-h5, .md-h6 { font-size: 0.9rem; text-transform: uppercase; letter-spacing: .04em; color: #a5b4fc; }
+            .md-list { padding-left: 22px; }
+            .md-list li { margin-bottom: 6px; }
+            .md-list li > .md-list { margin-top: 6px; }
+            ul.md-list { list-style-type: '▸  '; }
+            ul.md-list li::marker { color: var(--accent2); font-size: 0.75em; }
+            ol.md-list li::marker { color: var(--accent); font-weight: 700; font-family: 'DM Mono', monospace; }
+            .md-code { position: relative; padding: 14px 16px; background: rgba(0,0,0,.35); border: 1px solid var(--border); border-radius: 8px; overflow-x: auto; line-height: 1.55; }
+            .md-code code { background: none; padding: 0; font-size: 0.8rem; color: #e2e8f0; white-space: pre; }
+            .md-code-lang { position: absolute; top: 6px; right: 10px; font-family: 'DM Mono', monospace; font-size: 10px; color: var(--muted); text-transform: uppercase; }
+            .md-quote { padding: 8px 14px; border-left: 3px solid var(--accent2); background: rgba(255,255,255,.03); border-radius: 0 8px 8px 0; color: #94a3b8; }
+            .md-rule { border: none; border-top: 1px solid var(--border); }
+            .md-table-wrap { overflow-x: auto; border: 1px solid var(--border); border-radius: 8px; }
+            .md-table { width: 100%; border-collapse: collapse; font-size: 0.82rem; }
+            .md-table th, .md-table td { padding: 7px 12px; border-bottom: 1px solid var(--border); text-align: left; vertical-align: top; }
+            .md-table th { color: var(--text); font-weight: 600; background: rgba(108,99,255,.08); }
+            .md-table tr:last-child td { border-bottom: none; }
             strong { color: var(--text); font-weight: 600; }
 
+            /* Session export / import */
+            .session-bar { display: flex; align-items: center; justify-content: space-between; gap: 10px; flex-wrap: wrap; }
+            .session-export { display: flex; align-items: center; gap: 6px; }
+            .file-btn { position: relative; overflow: hidden; cursor: pointer; }
+            .file-btn input { position: absolute; inset: 0; opacity: 0; cursor: pointer; }
+            .stats { display: grid; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: 6px 20px; padding: 14px 18px; border: 1px solid var(--border); border-radius: var(--radius); background: var(--surface); }
+            .stats-row { display: flex; justify-content: space-between; gap: 10px; font-size: 11.5px; font-family: 'DM Mono', monospace; color: var(--muted); }
+            .stats-row span:last-child { color: var(--text); }
+            .print-report { display: none; }
+            @media print {
+                .page { display: none; }
+                body { background: #fff; color: #111; }
+                .print-report { display: block; padding: 8mm; font-size: 11pt; line-height: 1.55; }
+                .print-report h1 { font-size: 20pt; margin-bottom: 4px; }
+                .print-report h2 { font-size: 13pt; margin: 18px 0 8px; break-after: avoid; }
+                .print-report .md-table { margin: 12px 0; }
+                .print-report .md-table th, .print-report .md-table td { border-bottom: 1px solid #ccc; background: none; color: #111; }
+                .print-report .response-body, .print-report strong, .print-report .md-h { color: #111; }
+                .print-report .md-code, .print-report code { background: #f3f3f3; color: #111; border-color: #ddd; }
+                .print-report .md-quote { background: none; color: #444; }
+                .print-sources { margin: 10px 0 0 20px; font-size: 9pt; color: #444; }
+                .print-meta { font-size: 9pt; color: #666; margin-top: 6px; }
+            }
+
+            /* Retrieval debug */
+            .debug { margin-top: 12px; padding-top: 10px; border-top: 1px dashed var(--border); }
+            .debug-bar { display: flex; flex-wrap: wrap; align-items: center; gap: 6px; }
+            .btn-sm.on { color: var(--text); border-color: rgba(108,99,255,.5); background: rgba(108,99,255,.15); }
+            .debug-tokens { margin-left: auto; font-family: 'DM Mono', monospace; font-size: 10.5px; color: var(--muted); }
+            .debug-body { margin-top: 10px; display: flex; flex-direction: column; gap: 6px; max-height: 420px; overflow-y: auto; }
+            .debug-query { font-size: 11.5px; color: var(--muted); margin-bottom: 4px; }
+            .debug-chunk { display: grid; grid-template-columns: 34px 92px 1fr; gap: 2px 10px; padding: 8px 10px; border-radius: 8px; border: 1px solid var(--border); font-size: 11px; font-family: 'DM Mono', monospace; }
+            .debug-chunk.sent { border-color: rgba(0,229,160,.3); background: rgba(0,229,160,.05); }
+            .debug-chunk.kept { border-color: rgba(251,191,36,.3); }
+            .debug-chunk.dropped { opacity: .55; }
+            .debug-rank { color: var(--muted); grid-row: span 3; }
+            .debug-score { position: relative; color: var(--text); }
+            .debug-score-bar { position: absolute; left: 0; bottom: -2px; height: 2px; background: var(--accent); border-radius: 2px; }
+            .debug-status { color: #a5b4fc; }
+            .debug-chunk.sent .debug-status { color: var(--green); }
+            .debug-where { grid-column: 2 / 4; color: var(--muted); }
+            .debug-snippet { grid-column: 2 / 4; font-family: 'DM Sans', sans-serif; font-size: 11.5px; color: #94a3b8; line-height: 1.5; }
+            .debug-message { border: 1px solid var(--border); border-radius: 8px; overflow: hidden; }
+            .debug-role { display: block; padding: 4px 10px; font-family: 'DM Mono', monospace; font-size: 10.5px; text-transform: uppercase; color: #a5b4fc; background: rgba(108,99,255,.08); }
+            .debug-message pre { padding: 10px; font-family: 'DM Mono', monospace; font-size: 11px; line-height: 1.5; color: #cbd5e1; white-space: pre-wrap; word-break: break-word; }
+
+            /* Citations */
+            .citations { margin-top: 16px; padding-top: 12px; border-top: 1px solid var(--border); }
+            .citation-chips { display: flex; flex-wrap: wrap; align-items: center; gap: 6px; }
+            .citation-label { font-size: 10.5px; font-weight: 600; letter-spacing: .06em; text-transform: uppercase; color: var(--muted); margin-right: 4px; }
+            .citation-chip { display: inline-flex; align-items: center; gap: 6px; padding: 3px 10px 3px 4px; border-radius: 999px; border: 1px solid rgba(108,99,255,.25); background: rgba(108,99,255,.08); color: #a5b4fc; font-size: 11px; font-family: 'DM Mono', monospace; cursor: pointer; transition: all .15s; }
+            .citation-chip:hover, .citation-chip.open { background: rgba(108,99,255,.2); color: var(--text); }
+            .citation-num { width: 18px; height: 18px; border-radius: 50%; display: inline-flex; align-items: center; justify-content: center; background: var(--accent); color: #fff; font-size: 10px; font-weight: 700; }
+            .citation-score { color: var(--muted); }
+            .citation-ocr { font-size: 9.5px; color: var(--amber); }
+            .citation-doc { max-width: 140px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; color: var(--text); }
+            .citation-quote { margin-top: 10px; padding: 12px 14px; border-left: 3px solid var(--accent); background: rgba(0,0,0,.25); border-radius: 0 8px 8px 0; font-size: 0.8rem; line-height: 1.65; color: #94a3b8; white-space: pre-wrap; max-height: 260px; overflow-y: auto; }
+            .citation-quote-head { display: flex; align-items: center; justify-content: space-between; font-family: 'DM Mono', monospace; font-size: 10.5px; color: #a5b4fc; margin-bottom: 6px; white-space: normal; }
+
+            /* PDF viewer panel */
+            .viewer-panel { width: 100%; max-width: 560px; flex-shrink: 0; position: sticky; top: 24px; max-height: calc(100vh - 48px); display: flex; flex-direction: column; background: var(--surface); border: 1px solid var(--border); border-radius: var(--radius); overflow: hidden; z-index: 1; animation: slideUp .35s ease; }
+            @media (max-width: 1100px) { .viewer-panel { position: relative; top: 0; max-width: 760px; } }
+            .viewer-header { display: flex; align-items: center; justify-content: space-between; gap: 10px; padding: 12px 16px; border-bottom: 1px solid var(--border); }
+            .viewer-title { font-size: 0.8rem; font-weight: 600; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+            .viewer-controls { display: flex; align-items: center; gap: 6px; flex-shrink: 0; }
+            .viewer-controls .btn-sm:disabled { opacity: .35; cursor: not-allowed; }
+            .viewer-page { font-size: 11px; font-family: 'DM Mono', monospace; color: var(--muted); min-width: 54px; text-align: center; }
+            .viewer-scroll { overflow-y: auto; padding: 12px; background: rgba(0,0,0,.25); }
+            .viewer-stage { position: relative; width: 100%; }
+            .viewer-stage canvas { display: block; border-radius: 4px; box-shadow: 0 4px 24px rgba(0,0,0,.4); }
+            .pdf-highlight { position: absolute; background: rgba(251,191,36,.35); mix-blend-mode: multiply; border-radius: 2px; pointer-events: none; }
+            .viewer-empty { padding: 40px 16px; text-align: center; font-size: 0.85rem; color: var(--muted); }
+
             /* Disabled card */
             .card.dim { opacity: .45; pointer-events: none; }
 
             /* Footer reset link */
+            /* History sidebar */
+            .history-panel { width: 100%; max-width: 340px; flex-shrink: 0; position: sticky; top: 24px; max-height: calc(100vh - 48px); display: flex; flex-direction: column; background: var(--surface); border: 1px solid var(--border); border-radius: var(--radius); overflow: hidden; z-index: 1; animation: slideUp .35s ease; }
+            @media (max-width: 1100px) { .history-panel { position: relative; top: 0; max-width: 760px; } }
+            .history-tools { display: flex; flex-direction: column; gap: 8px; padding: 12px 16px; border-bottom: 1px solid var(--border); }
+            .history-search { padding: 6px 10px; border-radius: 6px; border: 1px solid var(--border); background: rgba(0,0,0,.25); color: var(--text); font-size: 12px; outline: none; }
+            .history-search:focus { border-color: rgba(108,99,255,.5); }
+            .history-scopes { display: flex; gap: 6px; }
+            .history-list { overflow-y: auto; padding: 10px 12px; display: flex; flex-direction: column; gap: 8px; }
+            .history-entry { padding: 10px 12px; border-radius: 8px; border: 1px solid var(--border); background: rgba(255,255,255,.02); display: flex; flex-direction: column; gap: 6px; }
+            .history-entry.pinned { border-color: rgba(251,191,36,.35); }
+            .history-q { background: none; border: none; padding: 0; text-align: left; color: var(--text); font-size: 12.5px; font-weight: 600; cursor: pointer; font-family: 'DM Sans', sans-serif; }
+            .history-meta { font-size: 10.5px; color: var(--muted); font-family: 'DM Mono', monospace; }
+            .history-snippet { font-size: 11.5px; color: #94a3b8; line-height: 1.5; }
+            .history-answer { font-size: 12px; }
+            .history-actions { display: flex; flex-wrap: wrap; gap: 6px; }
+            .history-actions .btn-sm:disabled { opacity: .35; cursor: not-allowed; }
+            .diff { font-size: 12px; line-height: 1.6; color: #cbd5e1; white-space: pre-wrap; padding: 8px 10px; border-radius: 6px; background: rgba(0,0,0,.25); }
+            .diff ins { text-decoration: none; background: rgba(0,229,160,.18); color: var(--green); }
+            .diff del { background: rgba(255,77,109,.15); color: var(--red); }
+            .diff-note { font-size: 11.5px; color: var(--muted); }
             .reset-btn { background: none; border: none; color: var(--muted); font-size: 11.5px; cursor: pointer; text-decoration: underline; padding: 0; font-family: 'DM Sans', sans-serif; transition: color .15s; }
             .reset-btn:hover { color: var(--text); }
         `}</style>
@@ -316,92 +2300,257 @@ const App = () => {
             <header className="header">
                 <div className="badge">Production RAG · v2</div>
                 <h1 className="title">Cloud Document Intelligence</h1>
-                <p className="subtitle">Upload any PDF up to 10 MB and query it with AI — powered by Groq's Llama 3.3 70B.</p>
+                <p className="subtitle">Upload a collection of PDFs, Word, Markdown, HTML or EPUB documents up to {fmtSize(maxUpload)} each and query them with AI{health.llm ? ` — powered by ${health.llm.provider} ${health.llm.model}` : ''}.</p>
+                <StatusBar health={health} apiBaseUrl={apiBaseUrl} onOpenSettings={() => setSettingsOpen(o => !o)} />
             </header>
 
+            <div className={`workspace ${viewerDoc ? 'with-viewer' : ''} ${historyOpen ? 'with-history' : ''}`}>
+            {historyOpen && (
+                <HistorySidebar
+                    entries={historyEntries}
+                    docIds={docs.map(d => d.id)}
+                    busy={loading || !selectedIds.length}
+                    onRerun={(entry) => handleQuery(entry.question, entry)}
+                    onPin={(entry) => saveHistory({ ...entry, pinned: !entry.pinned })}
+                    onDelete={removeHistory}
+                    onClose={() => setHistoryOpen(false)}
+                />
+            )}
             <main className="main">
 
+                {settingsOpen && (
+                    <BackendSettings url={apiBaseUrl} onSave={changeBackend} onClose={() => setSettingsOpen(false)} />
+                )}
+
+                {waking && (
+                    <div className="banner info">
+                        <div className="spinner" /> Waking up the server — free-tier instances take up to a minute to start…
+                    </div>
+                )}
+
+                {health.status === 'offline' && !waking && (
+                    <div className="banner error">
+                        ⚠️ Can't reach the backend at {apiBaseUrl}. Check the URL in settings or wait for the server to start.
+                    </div>
+                )}
+
                 {/* Step 1 — Upload */}
                 <div className="card">
                     <div className="step-label">
                         <span className="step-num a">1</span>
                         <span className="step-title">Upload Knowledge Base</span>
+                        <input
+                            className="collection-name"
+                            value={collectionName}
+                            onChange={(e) => setCollectionName(e.target.value)}
+                            onBlur={saveCollectionName}
+                            maxLength={80}
+                            title="Collection name"
+                        />
                     </div>
-                    <p className="step-hint">PDF up to 10 MB. Pages are chunked &amp; embedded for semantic search.</p>
+                    <p className="step-hint">Documents up to {fmtSize(maxUpload)} each, up to {MAX_DOCUMENTS} per collection. Pages and sections are chunked &amp; embedded for semantic search.</p>
 
                     <div
-                        className={`drop-zone ${dragOver ? 'drag' : ''} ${pdfFile ? 'loaded' : ''}`}
+                        className={`drop-zone ${dragOver ? 'drag' : ''} ${docs.length ? 'loaded' : ''}`}
                         onDragOver={(e) => { e.preventDefault(); setDragOver(true); }}
                         onDragLeave={() => setDragOver(false)}
                         onDrop={handleDrop}
                     >
-                        <input type="file" accept=".pdf" onChange={handleFileInput} disabled={uploadLoading} />
-                        {pdfFile ? (
+                        <input type="file" accept={ACCEPTED_EXTENSIONS} multiple onChange={handleFileInput} disabled={uploadLoading} />
+                        {docs.length ? (
                             <>
-                                <span className="drop-icon">✅</span>
-                                <span className="drop-primary">{pdfFile.name}</span>
-                                <span className="drop-secondary">{fmtSize(pdfFile.size)} — click to replace</span>
+                                <span className="drop-icon">➕</span>
+                                <span className="drop-primary">Add more documents to “{collectionName}”</span>
+                                <span className="drop-secondary">{docs.length} of {MAX_DOCUMENTS} documents</span>
                             </>
                         ) : (
                             <>
                                 <span className="drop-icon">📄</span>
                                 <span className="drop-primary">Drag &amp; drop or click to browse</span>
-                                <span className="drop-secondary">PDF only · max 10 MB</span>
+                                <span className="drop-secondary">PDF, DOCX, MD, TXT, HTML, EPUB · max {fmtSize(maxUpload)} each · select several at once</span>
                             </>
                         )}
                     </div>
 
                     {uploadLoading && (
-                        <div className="progress-wrap">
-                            <div className="progress-bar" style={{ width: `${uploadProgress}%` }} />
+                        <>
+                            <div className="progress-wrap">
+                                <div className="progress-bar" style={{ width: `${uploadProgress}%` }} />
+                            </div>
+                            <div className="progress-footer">
+                                <span className="progress-detail">{uploadDetail} {Math.round(uploadProgress)}%</span>
+                                <button className="btn-sm red" onClick={cancelUpload}>Cancel</button>
+                            </div>
+                        </>
+                    )}
+
+                    {resumable && !uploadLoading && (
+                        <div className="progress-footer">
+                            <span className="progress-detail">“{resumable.file.name}” was interrupted</span>
+                            <div className="session-export">
+                                <button className="btn-sm" onClick={() => processFile(resumable.file, resumable.uploadId)}>↻ Resume upload</button>
+                                <button className="btn-sm" onClick={() => setResumable(null)}>Dismiss</button>
+                            </div>
                         </div>
                     )}
 
-                    {pdfMeta && !uploadLoading && (
-                        <div className="file-info">
-                            <span className="file-name">📚 {pdfFile.name}</span>
-                            <div className="file-badges">
-                                <span className="pill pill-green">{pdfMeta.pages}p</span>
-                                <span className="pill pill-purple">{pdfMeta.chunks} chunks</span>
-                                <span className="pill pill-red" onClick={resetAll}>✕</span>
+                    {docs.map(doc => (
+                        <React.Fragment key={doc.id}>
+                            <div className={`file-info ${doc.selected ? '' : 'off'}`}>
+                                <input
+                                    type="checkbox"
+                                    className="doc-toggle"
+                                    checked={doc.selected}
+                                    onChange={() => toggleDoc(doc.id)}
+                                    title={doc.selected ? 'Exclude from queries' : 'Include in queries'}
+                                />
+                                <span className="file-name">📚 {doc.name}</span>
+                                <div className="file-badges">
+                                    <span className="pill pill-purple">{FORMAT_LABELS[doc.format || 'pdf']}</span>
+                                    <span className="pill pill-green">{unitCount(doc.format, doc.pages)}</span>
+                                    {doc.ocr && (doc.ocr.pages.length > 0 || doc.ocr.skipped.length > 0) && (
+                                        <span
+                                            className={`pill ${ocrWarning(doc.name, doc.ocr) ? 'pill-amber' : 'pill-purple'}`}
+                                            title={ocrWarning(doc.name, doc.ocr) ||
+                                                `Pages ${pageList(doc.ocr.pages)} were scanned and read with OCR (mean confidence ${doc.ocr.confidence}%)`}
+                                        >🔍 {doc.ocr.pages.length} OCR</span>
+                                    )}
+                                    <span
+                                        className="pill pill-purple"
+                                        title={doc.chunking && `${doc.chunking.chunk_size}-char chunks, ${doc.chunking.chunk_overlap} overlap`}
+                                    >{doc.chunks} chunks</span>
+                                    {doc.insights && (
+                                        <span
+                                            className="pill pill-purple clickable"
+                                            onClick={() => setOverviewId(id => id === doc.id ? null : doc.id)}
+                                        >ⓘ overview</span>
+                                    )}
+                                    {(doc.format || 'pdf') === 'pdf' && (
+                                        <span
+                                            className="pill pill-purple clickable"
+                                            onClick={() => viewer && viewer.docId === doc.id ? setViewer(null) : openViewer(doc.id)}
+                                        >📖 view</span>
+                                    )}
+                                    <span className="pill pill-red" onClick={() => removeDoc(doc)}>✕</span>
+                                </div>
                             </div>
+                            {overviewId === doc.id && doc.insights && (
+                                <div className="doc-overview">
+                                    {doc.insights.overview && <p>{doc.insights.overview}</p>}
+                                    {doc.insights.outline.length > 0 && (
+                                        <ol className="doc-outline">
+                                            {doc.insights.outline.map((item, i) => <li key={i}>{item}</li>)}
+                                        </ol>
+                                    )}
+                                </div>
+                            )}
+                        </React.Fragment>
+                    ))}
+
+                    {library.length > 0 && (
+                        <div className="library">
+                            <button className="library-toggle" onClick={() => setLibraryOpen(o => !o)}>
+                                {libraryOpen ? '▾' : '▸'} Your library · {library.length} saved document{library.length === 1 ? '' : 's'}
+                            </button>
+                            {libraryOpen && (
+                                <div className="library-grid">
+                                    {library.map(entry => {
+                                        const loaded = docs.some(d => d.id === entry.hash);
+                                        return (
+                                            <button
+                                                key={entry.hash}
+                                                className={`library-item ${loaded ? 'loaded' : ''}`}
+                                                onClick={() => loadFromLibrary(entry)}
+                                                disabled={loaded || uploadLoading}
+                                                title={loaded ? 'Already in this collection' : 'Add to collection without re-embedding'}
+                                            >
+                                                <span className="library-name">{loaded ? '✓' : '📄'} {entry.name}</span>
+                                                <span className="library-meta">
+                                                    {FORMAT_LABELS[entry.format || 'pdf']} · {unitCount(entry.format, entry.pages)} · {entry.chunks} chunks · {new Date(entry.added_at * 1000).toLocaleDateString()}
+                                                </span>
+                                            </button>
+                                        );
+                                    })}
+                                </div>
+                            )}
                         </div>
                     )}
                 </div>
 
                 {/* Step 2 — Query */}
-                <div className={`card ${!pdfFile || uploadLoading ? 'dim' : ''}`}>
+                <div className={`card ${!docs.length || uploadLoading ? 'dim' : ''}`}>
                     <div className="step-label">
                         <span className="step-num b">2</span>
-                        <span className="step-title">Query the Document</span>
+                        <span className="step-title">Query the Collection</span>
                     </div>
-                    <p className="step-hint">Ask anything about the PDF. Press Ctrl+Enter to submit.</p>
+                    <p className="step-hint">
+                        Searching {selectedIds.length} of {docs.length} document{docs.length === 1 ? '' : 's'} — follow-ups build on the conversation. Press Ctrl+Enter to submit.
+                    </p>
+
+                    <div className="mode-tabs">
+                        {ANSWER_MODES.map(m => (
+                            <button key={m.id} className={`btn-sm ${mode === m.id ? 'on' : ''}`} title={m.hint} onClick={() => setMode(m.id)}>
+                                {m.label}
+                            </button>
+                        ))}
+                    </div>
+                    {mode === 'compare' && <CompareSides docs={docs} sides={compareSides} onChange={setCompareSides} />}
+                    {mode === 'extract' && <SchemaEditor fields={schemaFields} onChange={setSchemaFields} />}
 
                     <textarea
                         ref={textareaRef}
                         className="query-box"
-                        placeholder="e.g. What are the key findings? Summarise section 3. What methodology was used?"
+                        placeholder={activeMode.fallback
+                            ? `Optional focus — leave empty to ${activeMode.fallback.charAt(0).toLowerCase()}${activeMode.fallback.slice(1, -1)}`
+                            : mode === 'table' ? 'e.g. List every deliverable with its due date and owner'
+                            : suggestions.length ? `e.g. ${suggestions[0]}`
+                            : 'e.g. What are the key findings? Summarise section 3. What methodology was used?'}
                         value={query}
                         onChange={(e) => setQuery(e.target.value)}
                         onKeyDown={handleKeyDown}
-                        disabled={loading || !pdfFile}
+                        disabled={loading || !selectedIds.length}
                         rows={4}
                     />
+                    {mode !== 'summary' && mode !== 'compare' && (
+                        <FilterChips
+                            filters={filters} query={query} onChange={setFilters}
+                            sections={docs.some(d => d.selected && (d.format || 'pdf') !== 'pdf')}
+                        />
+                    )}
+                    {suggestions.length > 0 && !loading && (
+                        <div className="suggestions">
+                            {suggestions.map(q => (
+                                <button key={q} className="suggestion" onClick={() => { setQuery(q); handleQuery(q); }}>{q}</button>
+                            ))}
+                        </div>
+                    )}
                     <div className="query-footer">
                         <span className="char-count">{query.length} chars</span>
+                        <button className="library-toggle" onClick={() => setAdvancedOpen(o => !o)}>
+                            {advancedOpen ? '▾' : '▸'} Advanced · {describeRetrieval(retrieval)}{debugMode && ' · debug'}
+                        </button>
                         <span className="hint-text">Ctrl+Enter to submit</span>
                     </div>
 
+                    {advancedOpen && (
+                        <AdvancedSettings
+                            retrieval={retrieval} chunking={chunking} debug={debugMode}
+                            onRetrieval={setRetrieval} onChunking={setChunking} onDebug={setDebugMode}
+                        />
+                    )}
+
                     <button
-                        className={`btn-primary ${loading ? 'loading' : !pdfFile || !query.trim() ? 'disabled' : 'active'}`}
+                        className={`btn-primary ${loading ? 'loading' : !canAsk ? 'disabled' : 'active'}`}
                         style={{ marginTop: 14 }}
-                        onClick={handleQuery}
-                        disabled={loading || !pdfFile || !query.trim()}
+                        onClick={() => handleQuery()}
+                        disabled={loading || !canAsk}
                     >
                         {loading ? (
                             <><div className="spinner" /> Synthesising answer…</>
-                        ) : (
+                        ) : mode === 'answer' ? (
                             '⚡ Synthesise Answer'
+                        ) : (
+                            `⚡ ${activeMode.label}`
                         )}
                     </button>
                 </div>
@@ -409,40 +2558,127 @@ const App = () => {
                 {/* Status banner */}
                 {message.text && (
                     <div className={`banner ${message.type}`}>
-                        {message.type === 'error' ? '⚠️' : message.type === 'success' ? '✅' : '🔵'}
+                        {message.type === 'error' || message.type === 'warning' ? '⚠️' : message.type === 'success' ? '✅' : '🔵'}
                         {message.text}
                     </div>
                 )}
 
-                {/* Response */}
-                {response && (
-                    <div className="response-card" ref={responseRef}>
-                        <div className="response-header">
-                            <span className="response-title">AI Synthesis</span>
-                            <div className="response-meta">
-                                {metrics && (
-                                    <span className="latency-badge">{metrics.latency}s · {metrics.model}</span>
-                                )}
-                                <button className={`btn-sm ${copied ? 'green' : ''}`} onClick={copyResponse}>
-                                    {copied ? '✓ Copied' : 'Copy'}
-                                </button>
-                            </div>
+                {/* Export / import */}
+                <div className="session-bar">
+                    <div className="session-export">
+                        <label className="btn-sm file-btn" title="Restore a session exported as JSON">
+                            ⤒ Import session
+                            <input type="file" accept=".json,application/json" onChange={importSession} disabled={loading} />
+                        </label>
+                        {(queryHistory.length > 0 || docs.length > 0) && (
+                            <button className={`btn-sm ${statsOpen ? 'on' : ''}`} onClick={() => setStatsOpen(o => !o)}>📊 Stats</button>
+                        )}
+                        <button className={`btn-sm ${historyOpen ? 'on' : ''}`} onClick={() => setHistoryOpen(o => !o)}>
+                            🕘 History{historyEntries.length > 0 && ` · ${historyEntries.length}`}
+                        </button>
+                    </div>
+                    {queryHistory.some(t => !t.pending) && (
+                        <div className="session-export">
+                            <span className="citation-label">Export</span>
+                            <button className="btn-sm" onClick={() => exportSession('md')}>Markdown</button>
+                            <button className="btn-sm" onClick={() => exportSession('pdf')}>PDF</button>
+                            <button className="btn-sm" onClick={() => exportSession('json')}>JSON</button>
                         </div>
-                        <RenderResponse text={response} />
+                    )}
+                </div>
+
+                {statsOpen && (queryHistory.length > 0 || docs.length > 0) && (
+                    <SessionStats turns={queryHistory} docs={docs} />
+                )}
+
+                {/* Conversation */}
+                {queryHistory.length > 0 && (
+                    <div className="thread">
+                        {queryHistory.map(turn => (
+                            <React.Fragment key={turn.id}>
+                                <div className="turn-q">{turn.q}</div>
+                                <div className="response-card">
+                                    <div className="response-header">
+                                        <span className="response-title">AI Synthesis</span>
+                                        <div className="response-meta">
+                                            {turn.metrics && turn.metrics.provider && (
+                                                <span className={`provider-badge ${turn.metrics.local ? 'local' : ''}`}>
+                                                    {turn.metrics.local ? '🖥' : '☁'} {turn.metrics.provider}
+                                                </span>
+                                            )}
+                                            {turn.metrics && (
+                                                <span
+                                                    className="latency-badge"
+                                                    title={turn.metrics.retrieval_time != null
+                                                        ? `Retrieval ${turn.metrics.retrieval_time}s · generation ${turn.metrics.generation_time}s`
+                                                        : undefined}
+                                                >
+                                                    {turn.metrics.latency}s{turn.metrics.ttft != null && ` · TTFT ${turn.metrics.ttft}s`} · {turn.metrics.model}
+                                                </span>
+                                            )}
+                                            {turn.metrics && turn.metrics.tokens && (
+                                                <span className="latency-badge" title={turn.metrics.tokens.estimated ? 'Estimated at ~4 characters per token' : 'Reported by the provider'}>
+                                                    {describeTokens(turn.metrics.tokens)}{turn.metrics.cost != null && ` · ${formatCost(turn.metrics.cost)}`}
+                                                </span>
+                                            )}
+                                            {turn.metrics && turn.metrics.retrieval && (
+                                                <span className="latency-badge" title="Effective retrieval settings">{describeRetrieval(turn.metrics.retrieval)}</span>
+                                            )}
+                                            {turn.stopped && <span className="latency-badge">stopped</span>}
+                                            {turn.imported && <span className="latency-badge">imported</span>}
+                                            {turn.rerun && <span className="latency-badge" title="Re-run from history; compare it with the original there">re-run</span>}
+                                            {turn.mode && turn.mode !== 'answer' && <span className="latency-badge">{MODE_LABELS[turn.mode]}</span>}
+                                            {!turn.pending && (turn.mode === 'table' || turn.mode === 'compare') && answerTableCsv(turn.a) && (
+                                                <button className="btn-sm" onClick={() => downloadCsv(turn)}>⬇ CSV</button>
+                                            )}
+                                            {!turn.pending && turn.extraction && (
+                                                <>
+                                                    <button className="btn-sm" onClick={() => downloadJson(turn)}>⬇ JSON</button>
+                                                    <button className="btn-sm" onClick={() => downloadCsv(turn)}>⬇ CSV</button>
+                                                </>
+                                            )}
+                                            {turn.pending ? (
+                                                <button className="btn-sm red" onClick={stopQuery}>■ Stop</button>
+                                            ) : (
+                                                <button className={`btn-sm ${copied === turn.id ? 'green' : ''}`} onClick={() => copyResponse(turn)}>
+                                                    {copied === turn.id ? '✓ Copied' : 'Copy'}
+                                                </button>
+                                            )}
+                                        </div>
+                                    </div>
+                                    {turn.extraction ? (
+                                        <ExtractionResults extraction={turn.extraction} sources={turn.sources} onView={(src) => openViewer(src.doc_id, src.page, src.text)} />
+                                    ) : turn.a ? (
+                                        <div className={turn.pending ? 'streaming' : ''}><RenderResponse text={turn.a} /></div>
+                                    ) : (
+                                        <div className="turn-pending"><div className="spinner" /> {turn.status || 'Synthesising answer…'}</div>
+                                    )}
+                                    <Citations sources={turn.sources} onView={(src) => openViewer(src.doc_id, src.page, src.text)} />
+                                    {turn.debug && <RetrievalDebug debug={turn.debug} />}
+                                </div>
+                            </React.Fragment>
+                        ))}
+                        <div ref={responseRef} />
                     </div>
                 )}
 
                 {/* Reset footer */}
-                {pdfFile && (
+                {docs.length > 0 && (
                     <div style={{ textAlign: 'center', paddingTop: 4 }}>
                         <button className="reset-btn" onClick={resetAll}>
-                            Start over with a new document
+                            Start over with a new collection
                         </button>
                     </div>
                 )}
 
             </main>
+
+            {viewerDoc && (
+                <PdfViewer file={viewerDoc.file} target={viewer} onClose={() => setViewer(null)} />
+            )}
+            </div>
         </div>
+        {printing && <PrintReport report={printing} />}
         </>
     );
 };
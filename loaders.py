@@ -0,0 +1,155 @@
+"""Format-aware document loading for /upload_pdf.
+
+Every loader returns LangChain Documents, one per page (PDF) or section (all other
+formats), with a 0-based metadata['page'] so citations and the chunking pipeline
+treat them alike. Sections carry their heading in metadata['section'].
+"""
+import re
+
+from langchain_core.documents import Document
+
+# extension -> format id
+FORMATS = {
+    '.pdf': 'pdf',
+    '.docx': 'docx',
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.txt': 'text',
+    '.html': 'html',
+    '.htm': 'html',
+    '.epub': 'epub',
+}
+LABELS = {'pdf': 'PDF', 'docx': 'DOCX', 'markdown': 'Markdown', 'text': 'text', 'html': 'HTML', 'epub': 'EPUB'}
+EXTENSIONS = {'pdf': '.pdf', 'docx': '.docx', 'markdown': '.md', 'text': '.txt', 'html': '.html', 'epub': '.epub'}
+MIME_TYPES = {
+    'pdf': 'application/pdf',
+    'docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'markdown': 'text/markdown',
+    'text': 'text/plain',
+    'html': 'text/html',
+    'epub': 'application/epub+zip',
+}
+
+TEXT_SECTION_CHARS = 3000  # plain text has no structure; group paragraphs up to this size
+MD_HEADING = re.compile(r'^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$')
+
+def detect_format(filename):
+    match = re.search(r'\.[A-Za-z]+$', filename or '')
+    return FORMATS.get(match.group(0).lower()) if match else None
+
+def supported_list():
+    return ', '.join(LABELS.values())
+
+def unit_name(fmt):
+    return 'page' if fmt == 'pdf' else 'section'
+
+def load(path, fmt):
+    return {
+        'pdf': load_pdf,
+        'docx': load_docx,
+        'markdown': load_markdown,
+        'text': load_text,
+        'html': load_html,
+        'epub': load_epub,
+    }[fmt](path)
+
+def sections_to_documents(sections):
+    """[(heading, text)] -> Documents, dropping sections without any text."""
+    docs = []
+    for heading, text in sections:
+        text = text.strip()
+        if not text:
+            continue
+        docs.append(Document(page_content=text, metadata={'page': len(docs), 'section': heading or None}))
+    return docs
+
+def read_text(path):
+    with open(path, 'rb') as f:
+        raw = f.read()
+    for encoding in ('utf-8-sig', 'cp1252'):
+        try:
+            return raw.decode(encoding)
+        except UnicodeDecodeError:
+            continue
+    return raw.decode('latin-1')
+
+def load_pdf(path):
+    from langchain_community.document_loaders import PyPDFLoader
+    return PyPDFLoader(path).load()
+
+def split_markdown(text):
+    """Split on headings outside code fences; the heading line stays with its section."""
+    sections, heading, lines, fenced = [], None, [], False
+    for line in text.splitlines():
+        if line.lstrip().startswith(('```', '~~~')):
+            fenced = not fenced
+        match = None if fenced else MD_HEADING.match(line)
+        if match:
+            sections.append((heading, '\n'.join(lines)))
+            heading, lines = match.group(2), []
+        lines.append(line)
+    sections.append((heading, '\n'.join(lines)))
+    return sections
+
+def load_markdown(path):
+    return sections_to_documents(split_markdown(read_text(path)))
+
+def load_text(path):
+    text = read_text(path)
+    # Form feeds are real page breaks; otherwise group paragraphs into even sections
+    if '\f' in text:
+        return sections_to_documents((None, page) for page in text.split('\f'))
+
+    sections, current = [], ''
+    for paragraph in re.split(r'\n\s*\n', text):
+        if current and len(current) + len(paragraph) > TEXT_SECTION_CHARS:
+            sections.append((None, current))
+            current = ''
+        current = f'{current}\n\n{paragraph}' if current else paragraph
+    sections.append((None, current))
+    return sections_to_documents(sections)
+
+def load_docx(path):
+    import docx
+
+    sections, heading, lines = [], None, []
+    for paragraph in docx.Document(path).paragraphs:
+        style = (paragraph.style.name or '') if paragraph.style is not None else ''
+        if style.startswith('Heading') or style == 'Title':
+            sections.append((heading, '\n'.join(lines)))
+            heading, lines = paragraph.text.strip(), []
+        lines.append(paragraph.text)
+    sections.append((heading, '\n'.join(lines)))
+    return sections_to_documents(sections)
+
+def html_to_markdown(html):
+    """Visible text of an HTML page with h1-h3 turned into markdown headings."""
+    from bs4 import BeautifulSoup
+
+    soup = BeautifulSoup(html, 'html.parser')
+    for tag in soup(['script', 'style', 'noscript', 'template', 'svg', 'head']):
+        tag.decompose()
+    for tag in soup.find_all(['h1', 'h2', 'h3']):
+        level = int(tag.name[1])
+        tag.replace_with(f"\n\n{'#' * level} {' '.join(tag.get_text(' ').split())}\n\n")
+    text = soup.get_text('\n')
+    return re.sub(r'\n{3,}', '\n\n', text)
+
+def load_html(path):
+    return sections_to_documents(split_markdown(html_to_markdown(read_text(path))))
+
+def load_epub(path):
+    import ebooklib
+    from ebooklib import epub
+
+    book = epub.read_epub(path)
+    sections = []
+    # Spine order is reading order; each chapter becomes one section
+    for item_id, _ in book.spine:
+        item = book.get_item_with_id(item_id)
+        if item is None or item.get_type() != ebooklib.ITEM_DOCUMENT:
+            continue
+        chapter = split_markdown(html_to_markdown(item.get_content().decode('utf-8', errors='replace')))
+        title = next((heading for heading, _ in chapter if heading), None)
+        sections.append((title, '\n\n'.join(text for _, text in chapter)))
+    return sections_to_documents(sections)
@@ -0,0 +1,121 @@
+"""Deterministic stand-ins for the chat model and embedder (LLM_PROVIDER=mock,
+EMBEDDING_PROVIDER=mock).
+
+They need no keys, no network and no model downloads, and return the same output for
+the same input, so the frontend can be developed and tested end to end offline. The
+embedder hashes words into a fixed-size vector, which keeps retrieval loosely
+meaningful: passages sharing words with the question rank first.
+"""
+import hashlib
+import json
+import math
+import re
+
+from langchain_core.embeddings import Embeddings
+from langchain_core.language_models.chat_models import BaseChatModel
+from langchain_core.messages import AIMessage, AIMessageChunk
+from langchain_core.outputs import ChatGeneration, ChatGenerationChunk, ChatResult
+
+EMBEDDING_SIZE = 256
+# A question containing this makes the chat model raise, to exercise error handling
+FAILURE_TRIGGER = "mock-error"
+FIELD_LINE = re.compile(r'^\s*- "([^"]+)" \((\w+)\)(?:: (.*))?$', re.MULTILINE)
+MOCK_VALUES = {'text': 'mock value', 'number': 42, 'date': '2024-01-31', 'boolean': True, 'list': ['mock item']}
+PASSAGE_LABEL = re.compile(r'^\s*\[(\d+)\] (?:Side [AB] )?\(([^)]*)\)', re.MULTILINE)
+
+class MockEmbeddings(Embeddings):
+    """Bag-of-words vectors: each word is hashed into one of EMBEDDING_SIZE buckets."""
+
+    def _embed(self, text):
+        vector = [0.0] * EMBEDDING_SIZE
+        for word in re.findall(r'\w+', text.lower()):
+            bucket = int.from_bytes(hashlib.md5(word.encode()).digest()[:4], 'big') % EMBEDDING_SIZE
+            vector[bucket] += 1.0
+        norm = math.sqrt(sum(v * v for v in vector)) or 1.0
+        return [v / norm for v in vector]
+
+    def embed_documents(self, texts):
+        return [self._embed(text) for text in texts]
+
+    def embed_query(self, text):
+        return self._embed(text)
+
+def approx_tokens(text):
+    return math.ceil(len(text) / 4)
+
+class MockChatModel(BaseChatModel):
+    """Canned replies chosen by which backend prompt it receives."""
+
+    @property
+    def _llm_type(self):
+        return "mock"
+
+    def _reply(self, messages):
+        system = next((m.content for m in messages if m.type == 'system'), '')
+        questions = [m.content for m in messages if m.type == 'human']
+
+        if 'return ONLY a JSON object' in system:
+            return json.dumps({
+                'overview': "A mock overview of the uploaded document, written without calling a model.",
+                'outline': [],
+                'questions': ["What is this document about?", "What are the key points?"]
+            })
+
+        if 'Summarise this part of' in system:
+            words = re.search(r'<text>\s*(.*?)\s*</text>', system, re.DOTALL).group(1).split()
+            return f"- Mock summary of {len(words)} words starting: {' '.join(words[:12])}"
+
+        if 'You fill in a schema of fields' in system:
+            return json.dumps(self._extract(system))
+
+        if '<context>' in system:
+            question = questions[-1] if questions else ''
+            if FAILURE_TRIGGER in question.lower():
+                raise RuntimeError("Mock LLM failure requested by the question.")
+            passages = PASSAGE_LABEL.findall(system)
+            if not passages:
+                return "This information is not available in the provided document."
+            cited = ' '.join(f"[{number}]" for number, _ in passages)
+            if 'ONE markdown table' in system:
+                rows = '\n'.join(f"| {where} | [{number}] |" for number, where in passages)
+                return f"| Found in | Source |\n|---|---|\n{rows}"
+            if 'Side A is' in system:
+                return (f"| Aspect | Side A | Side B |\n|---|---|---|\n| Passages | {cited} | {cited} |\n\n"
+                        f"- **Mock comparison** for: {question}")
+            return (f"**Mock answer** to: {question}\n\n"
+                    f"- {len(passages)} passage(s) were retrieved {cited}\n"
+                    f"- The best match is from {passages[0][1]} [{passages[0][0]}]")
+
+        # Follow-up rewriting: the question itself is a fine standalone search query
+        return questions[-2] if len(questions) > 1 else (questions[-1] if questions else '')
+
+    def _extract(self, system):
+        """Fields whose name appears in a passage get a typed placeholder citing it; the rest are null.
+        A text field echoes its description, so tests can choose the extracted value."""
+        passages = re.split(r'^\s*(?=\[\d+\] \()', system.split('<context>', 1)[1], flags=re.MULTILINE)
+        sources = [(int(re.match(r'\[(\d+)\]', p).group(1)), p.lower()) for p in passages if re.match(r'\[\d+\]', p)]
+        reply = {}
+        for name, kind, description in FIELD_LINE.findall(system):
+            source = next((number for number, text in sources if name.lower() in text), None)
+            value = description.strip() if kind == 'text' and description.strip() else MOCK_VALUES[kind]
+            reply[name] = {'value': value if source else None, 'source': source}
+        return reply
+
+    def _usage(self, messages, text):
+        prompt = approx_tokens(''.join(str(m.content) for m in messages))
+        completion = approx_tokens(text)
+        return {'input_tokens': prompt, 'output_tokens': completion, 'total_tokens': prompt + completion}
+
+    def _generate(self, messages, stop=None, run_manager=None, **kwargs):
+        text = self._reply(messages)
+        message = AIMessage(content=text, usage_metadata=self._usage(messages, text))
+        return ChatResult(generations=[ChatGeneration(message=message)])
+
+    def _stream(self, messages, stop=None, run_manager=None, **kwargs):
+        text = self._reply(messages)
+        for piece in re.findall(r'\s*\S+', text):
+            chunk = ChatGenerationChunk(message=AIMessageChunk(content=piece))
+            if run_manager:
+                run_manager.on_llm_new_token(piece, chunk=chunk)
+            yield chunk
+        yield ChatGenerationChunk(message=AIMessageChunk(content='', usage_metadata=self._usage(messages, text)))
@@ -0,0 +1,66 @@
+"""Local OCR for PDF pages that have no text layer (scans, photographed pages).
+
+Pages are rendered with pypdfium2 and read with Tesseract through pytesseract, so
+nothing leaves the machine. Both are optional: without them scanned pages are
+reported as unreadable instead of failing the whole upload.
+"""
+import importlib.util
+import os
+
+OCR_LANG = os.getenv("OCR_LANG", "eng")
+OCR_DPI = int(os.getenv("OCR_DPI", "300"))
+LOW_CONFIDENCE = float(os.getenv("OCR_LOW_CONFIDENCE", "60"))  # mean word confidence, 0-100
+MIN_TEXT_CHARS = 20  # fewer extractable characters than this means the page is an image
+
+def needs_ocr(text):
+    return len(text.strip()) < MIN_TEXT_CHARS
+
+def unavailable_reason():
+    """None when OCR can run, otherwise a short explanation for the user."""
+    if importlib.util.find_spec('pypdfium2') is None or importlib.util.find_spec('pytesseract') is None:
+        return "OCR is not installed on the server (pip install pytesseract pypdfium2)."
+    import pytesseract
+    try:
+        pytesseract.get_tesseract_version()
+    except Exception:
+        return "OCR is not installed on the server (the tesseract binary is missing)."
+    return None
+
+def ocr_pages(pdf_path, page_indexes, on_page=None):
+    """Yield (page_index, text, confidence) for each 0-based page index.
+
+    on_page(done, total) is called before each page so callers can report progress
+    or raise to stop early.
+    """
+    import pypdfium2
+    import pytesseract
+
+    pdf = pypdfium2.PdfDocument(pdf_path)
+    try:
+        for done, index in enumerate(page_indexes):
+            if on_page:
+                on_page(done, len(page_indexes))
+            image = pdf[index].render(scale=OCR_DPI / 72).to_pil()
+            data = pytesseract.image_to_data(image, lang=OCR_LANG, output_type=pytesseract.Output.DICT)
+
+            # Rebuild the text from word boxes so the page is only read once; Tesseract
+            # marks non-word boxes with confidence -1
+            lines, confidences = {}, []
+            for i, word in enumerate(data['text']):
+                conf = float(data['conf'][i])
+                if not word.strip() or conf < 0:
+                    continue
+                confidences.append(conf)
+                key = (data['block_num'][i], data['par_num'][i], data['line_num'][i])
+                lines.setdefault(key, []).append(word)
+
+            text, previous = [], None
+            for key, words in lines.items():
+                if previous is not None and key[:2] != previous[:2]:
+                    text.append('')  # blank line between paragraphs
+                text.append(' '.join(words))
+                previous = key
+            confidence = sum(confidences) / len(confidences) if confidences else 0.0
+            yield index, '\n'.join(text), round(confidence, 1)
+    finally:
+        pdf.close()
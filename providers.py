@@ -0,0 +1,142 @@
+"""Pluggable model providers behind the /upload_pdf and /ask_pdf contract.
+
+LLM_PROVIDER and EMBEDDING_PROVIDER pick the backends. The defaults are the
+cloud setup (Groq + Google Gemini embeddings); "ollama" talks to a local
+Ollama-compatible server and "huggingface" embeds in-process with
+sentence-transformers, so a fully local configuration never leaves the machine.
+"mock" (both) swaps in the deterministic models from mock_models for offline
+development and the end-to-end tests.
+"""
+import os
+import re
+
+OLLAMA_BASE_URL = os.getenv("OLLAMA_BASE_URL", "http://localhost:11434")
+
+DEFAULT_LLM_MODELS = {
+    'groq': "llama-3.3-70b-versatile",
+    'ollama': "llama3.1:8b",
+    'mock': "mock-chat",
+}
+
+DEFAULT_EMBEDDING_MODELS = {
+    'google': "models/gemini-embedding-001",
+    'ollama': "nomic-embed-text",
+    'huggingface': "sentence-transformers/all-MiniLM-L6-v2",
+    'mock': "mock-hashed-words",
+}
+
+# USD per million (input, output) tokens for hosted chat models; LLM_PRICE_PER_MTOK="in,out"
+# overrides it for any other model. Local models are free to run.
+LLM_PRICING = {
+    'llama-3.3-70b-versatile': (0.59, 0.79),
+    'llama-3.1-8b-instant': (0.05, 0.08),
+}
+
+SETUP_HINTS = {
+    'groq': "Check GROQ_API_KEY.",
+    'google': "Check GOOGLE_API_KEY.",
+    'ollama': f"Is the Ollama server running at {OLLAMA_BASE_URL}?",
+    'huggingface': "Is it installed? (pip install langchain-huggingface sentence-transformers)",
+    'mock': "The mock provider needs no setup.",
+}
+
+def llm_settings():
+    provider = os.getenv("LLM_PROVIDER", "groq").strip().lower()
+    if provider not in DEFAULT_LLM_MODELS:
+        raise ValueError(f"Unknown LLM_PROVIDER '{provider}' (expected one of {', '.join(DEFAULT_LLM_MODELS)}).")
+    return provider, os.getenv("LLM_MODEL", DEFAULT_LLM_MODELS[provider])
+
+def embedding_settings():
+    provider = os.getenv("EMBEDDING_PROVIDER", "google").strip().lower()
+    if provider not in DEFAULT_EMBEDDING_MODELS:
+        raise ValueError(f"Unknown EMBEDDING_PROVIDER '{provider}' (expected one of {', '.join(DEFAULT_EMBEDDING_MODELS)}).")
+    return provider, os.getenv("EMBEDDING_MODEL", DEFAULT_EMBEDDING_MODELS[provider])
+
+def embedding_key():
+    """Filesystem-safe id of the embedding space; vectors from different models never mix."""
+    provider, model = embedding_settings()
+    return re.sub(r'[^A-Za-z0-9.-]+', '_', f"{provider}-{model}")
+
+def setup_hint(kind):
+    try:
+        provider = (llm_settings() if kind == 'llm' else embedding_settings())[0]
+    except ValueError as e:
+        return str(e)
+    return SETUP_HINTS[provider]
+
+def llm_pricing(provider, model):
+    override = os.getenv("LLM_PRICE_PER_MTOK")
+    if override:
+        try:
+            prompt_price, completion_price = (float(part) for part in override.split(','))
+            return prompt_price, completion_price
+        except ValueError:
+            print(f"⚠️  Ignoring malformed LLM_PRICE_PER_MTOK '{override}' (expected 'input,output').")
+    if provider in ('ollama', 'mock'):
+        return 0.0, 0.0
+    return LLM_PRICING.get(model)
+
+def estimate_cost(pricing, prompt_tokens, completion_tokens):
+    """USD for one call at the given per-million pricing, or None when the price is unknown."""
+    if pricing is None:
+        return None
+    return round((prompt_tokens * pricing[0] + completion_tokens * pricing[1]) / 1_000_000, 6)
+
+def create_llm():
+    """Return (llm, info) where info names the provider and model actually in use."""
+    provider, model = llm_settings()
+
+    if provider == 'groq':
+        from langchain_groq import ChatGroq
+
+        api_key = os.getenv("GROQ_API_KEY")
+        if not api_key:
+            raise ValueError("GROQ_API_KEY not found in .env")
+        llm = ChatGroq(temperature=0, groq_api_key=api_key, model_name=model)
+        return llm, {'provider': 'Groq Cloud', 'model': model, 'local': False,
+                     'pricing': llm_pricing(provider, model)}
+
+    if provider == 'mock':
+        from mock_models import MockChatModel
+
+        return MockChatModel(), {'provider': 'Mock (offline)', 'model': model, 'local': True,
+                                 'pricing': llm_pricing(provider, model)}
+
+    from langchain_ollama import ChatOllama
+
+    llm = ChatOllama(model=model, base_url=OLLAMA_BASE_URL, temperature=0)
+    return llm, {'provider': 'Ollama (local)', 'model': model, 'local': True,
+                 'pricing': llm_pricing(provider, model)}
+
+def create_embeddings():
+    """Return (embeddings, info). info['rate_limited'] asks the caller to pace batch requests."""
+    provider, model = embedding_settings()
+
+    if provider == 'google':
+        from langchain_google_genai import GoogleGenerativeAIEmbeddings
+
+        google_api_key = os.getenv("GOOGLE_API_KEY")
+        if not google_api_key:
+            raise ValueError("GOOGLE_API_KEY not found in environment.")
+        embeddings = GoogleGenerativeAIEmbeddings(model=model, google_api_key=google_api_key)
+        return embeddings, {'provider': 'Google Gemini', 'model': model, 'local': False, 'rate_limited': True}
+
+    if provider == 'mock':
+        from mock_models import MockEmbeddings
+
+        return MockEmbeddings(), {'provider': 'Mock (offline)', 'model': model, 'local': True, 'rate_limited': False}
+
+    if provider == 'ollama':
+        from langchain_ollama import OllamaEmbeddings
+
+        embeddings = OllamaEmbeddings(model=model, base_url=OLLAMA_BASE_URL)
+        return embeddings, {'provider': 'Ollama (local)', 'model': model, 'local': True, 'rate_limited': False}
+
+    # Optional: the in-process embedder pulls in sentence-transformers and torch
+    try:
+        from langchain_huggingface import HuggingFaceEmbeddings
+    except ImportError:
+        raise ValueError("EMBEDDING_PROVIDER=huggingface needs pip install langchain-huggingface sentence-transformers.")
+
+    embeddings = HuggingFaceEmbeddings(model_name=model)
+    return embeddings, {'provider': 'HuggingFace (local)', 'model': model, 'local': True, 'rate_limited': False}
@@ -0,0 +1,69 @@
+"""Keyword scoring and query filters for hybrid retrieval in /ask_pdf.
+
+KeywordIndex is a small in-memory BM25 over the chunks of one FAISS index, so exact
+identifiers (clause numbers, part codes, author names) that embeddings blur together
+still rank highly. Filters narrow the chunks a query may use to a page or section
+range, a section heading, or passages containing an exact phrase.
+"""
+import math
+import re
+from collections import Counter
+
+BM25_K1 = 1.5
+BM25_B = 0.75
+# Dotted, hyphenated and slashed runs stay whole so "4.2.1", "AB-1234" and "EN/ISO" match exactly
+TOKEN = re.compile(r"\w+(?:[.\-/]\w+)*")
+
+def tokenize(text):
+    return TOKEN.findall(text.lower())
+
+def normalize(text):
+    return ' '.join(text.lower().split())
+
+class KeywordIndex:
+    """BM25 over a fixed list of texts; scores come back in the same order."""
+
+    def __init__(self, texts):
+        self.docs = [Counter(tokenize(text)) for text in texts]
+        self.lengths = [sum(doc.values()) for doc in self.docs]
+        self.avg_length = (sum(self.lengths) / len(self.lengths)) if self.lengths else 0
+        frequency = Counter(term for doc in self.docs for term in doc)
+        total = len(self.docs)
+        self.idf = {term: math.log(1 + (total - n + 0.5) / (n + 0.5)) for term, n in frequency.items()}
+
+    def scores(self, query):
+        terms = [term for term in set(tokenize(query)) if term in self.idf]
+        results = []
+        for doc, length in zip(self.docs, self.lengths):
+            norm = BM25_K1 * (1 - BM25_B + BM25_B * length / (self.avg_length or 1))
+            results.append(sum(
+                self.idf[term] * doc[term] * (BM25_K1 + 1) / (doc[term] + norm)
+                for term in terms if term in doc
+            ))
+        return results
+
+def matcher(filters):
+    """Predicate over LangChain Documents for parsed filters, or None when nothing is filtered.
+
+    pages is an inclusive 1-based (first, last) range of pages or sections, section a
+    case-insensitive substring of the heading, and every phrase must appear verbatim
+    (ignoring case and whitespace) in the chunk.
+    """
+    if not filters:
+        return None
+    pages = filters.get('pages')
+    section = (filters.get('section') or '').lower()
+    phrases = [normalize(phrase) for phrase in filters.get('phrases', [])]
+
+    def keep(doc):
+        number = doc.metadata.get('page', 0) + 1
+        if pages and not pages[0] <= number <= pages[1]:
+            return False
+        if section and section not in (doc.metadata.get('section') or '').lower():
+            return False
+        if phrases:
+            content = normalize(doc.page_content)
+            return all(phrase in content for phrase in phrases)
+        return True
+
+    return keep
@@ -0,0 +1,5 @@
+"""Makes the backend modules at the repository root importable from unit tests."""
+import sys
+from pathlib import Path
+
+sys.path.insert(0, str(Path(__file__).resolve().parents[1]))
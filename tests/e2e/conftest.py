@@ -0,0 +1,146 @@
+"""Fixtures for the browser tests.
+
+A session runs the real backend.py on the mock provider (no keys, no network for
+models) with a throwaway LIBRARY_DIR, serves the frontend from a static file server,
+and each test gets a fresh page pointed at that backend with ?api=.
+
+The tests are skipped, not failed, when Playwright or its browser is not installed
+(pip install -r requirements-dev.txt && playwright install chromium). The page loads
+React, Babel and PDF.js from unpkg.com; to run without internet, install those npm
+packages once and point E2E_CDN_DIR at their node_modules directory (see README).
+"""
+import os
+import re
+import socket
+import subprocess
+import sys
+import time
+import urllib.parse
+import urllib.request
+from pathlib import Path
+
+import pytest
+
+try:
+    from playwright.sync_api import expect, sync_playwright
+except ImportError:
+    expect = sync_playwright = None
+
+ROOT = Path(__file__).resolve().parents[2]
+STARTUP_TIMEOUT = 60  # seconds; the first import of LangChain is slow
+CDN_DIR = os.getenv('E2E_CDN_DIR')  # node_modules holding unpkg's packages, for offline runs
+UNPKG_PATH = re.compile(r'^/(@[^/@]+/[^/@]+|[^/@]+)(?:@[^/]+)?/(.+)$')  # /pkg@version/file
+
+# The frontend is compiled in the browser by Babel, so first paint takes a moment
+if expect:
+    expect.set_options(timeout=20_000)
+
+def missing_browsers(config):
+    """Why the browser tests cannot run here, or None."""
+    if sync_playwright is None:
+        return "Playwright is not installed (pip install -r requirements-dev.txt)"
+    if config.getoption('browser_channel', None):
+        return None  # an installed Chrome or Edge, which Playwright does not download
+    with sync_playwright() as playwright:
+        for name in config.getoption('browser', None) or ['chromium']:
+            if not os.path.exists(getattr(playwright, name).executable_path):
+                return f"The Playwright {name} browser is not installed (playwright install {name})"
+    return None
+
+def pytest_collection_modifyitems(config, items):
+    here = Path(__file__).parent
+    ours = [item for item in items if here in item.path.parents]
+    reason = ours and missing_browsers(config)
+    for item in ours if reason else []:
+        item.add_marker(pytest.mark.skip(reason=reason))
+
+def free_port():
+    with socket.socket() as s:
+        s.bind(('127.0.0.1', 0))
+        return s.getsockname()[1]
+
+def wait_for(url, process):
+    deadline = time.time() + STARTUP_TIMEOUT
+    while time.time() < deadline:
+        if process.poll() is not None:
+            raise RuntimeError(f"Process serving {url} exited with code {process.returncode}")
+        try:
+            with urllib.request.urlopen(url, timeout=2):
+                return
+        except OSError:
+            time.sleep(0.3)
+    raise RuntimeError(f"Timed out waiting for {url}")
+
+def start(args, url, log_path, env=None):
+    log = open(log_path, 'w')
+    process = subprocess.Popen(args, cwd=ROOT, env=env, stdout=log, stderr=subprocess.STDOUT)
+    try:
+        wait_for(url, process)
+    except RuntimeError:
+        process.terminate()
+        process.wait(timeout=10)
+        log.close()
+        raise RuntimeError(f"{' '.join(args)} failed to start; see {log_path}")
+    return process, log
+
+def stop(process, log):
+    process.terminate()
+    try:
+        process.wait(timeout=10)
+    except subprocess.TimeoutExpired:
+        process.kill()
+        process.wait()
+    log.close()
+
+@pytest.fixture(scope='session')
+def backend_url(tmp_path_factory):
+    port = free_port()
+    logs = tmp_path_factory.mktemp('logs')
+    env = {
+        **os.environ,
+        'PORT': str(port),
+        'LLM_PROVIDER': 'mock',
+        'EMBEDDING_PROVIDER': 'mock',
+        'LIBRARY_DIR': str(tmp_path_factory.mktemp('library')),
+        'PYTHONUNBUFFERED': '1',
+    }
+    url = f"http://127.0.0.1:{port}"
+    process, log = start([sys.executable, 'backend.py'], f"{url}/health", logs / 'backend.log', env)
+    yield url
+    stop(process, log)
+
+@pytest.fixture(scope='session')
+def frontend_url(tmp_path_factory):
+    port = free_port()
+    logs = tmp_path_factory.mktemp('logs')
+    url = f"http://127.0.0.1:{port}"
+    process, log = start([sys.executable, '-m', 'http.server', str(port), '--bind', '127.0.0.1'],
+                         f"{url}/index.html", logs / 'frontend.log')
+    yield url
+    stop(process, log)
+
+@pytest.fixture(scope='session')
+def browser_context_args(browser_context_args):
+    # Needed by the Copy button test to read the clipboard back
+    return {**browser_context_args, 'permissions': ['clipboard-read', 'clipboard-write']}
+
+def serve_from_cdn_dir(route):
+    """Answer unpkg.com from E2E_CDN_DIR; other third-party assets (fonts, Tailwind) are dropped."""
+    url = urllib.parse.urlsplit(route.request.url)
+    match = UNPKG_PATH.match(url.path) if url.hostname == 'unpkg.com' else None
+    if match is None:
+        return route.abort()
+    package, file = match.groups()
+    path = Path(CDN_DIR, package, file)
+    if not path.is_file():
+        return route.fulfill(status=404, body=f"{path} not found in E2E_CDN_DIR")
+    route.fulfill(path=path)
+
+@pytest.fixture
+def app(page, frontend_url, backend_url):
+    if CDN_DIR:
+        page.route(re.compile(r'^https://'), serve_from_cdn_dir)
+    page.goto(f"{frontend_url}/index.html?api={backend_url}")
+    # The status strip names the provider once /health answers; embeddings and LLM are both mocks
+    expect(page.locator('.status-item[title="Mock (offline)"] .status-dot.ok')).to_have_count(2)
+    return page
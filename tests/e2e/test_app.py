@@ -0,0 +1,173 @@
+"""End-to-end flows of the App component against the mock backend."""
+import re
+
+import pytest
+
+expect = pytest.importorskip('playwright.sync_api', reason='Playwright is not installed').expect
+
+FAILURE_TRIGGER = 'mock-error'  # mock_models.FAILURE_TRIGGER: makes the mock LLM raise
+
+NOTES = (
+    "Supply agreement notes\n\n"
+    "Clause 4.2.1 limits the supplier's liability to the fees paid in the previous twelve months.\n\n"
+    "Part AB-1234 must be delivered within thirty days of the purchase order."
+)
+
+def upload(page, name='notes.txt', text=NOTES, mime='text/plain'):
+    page.locator('.drop-zone input[type=file]').set_input_files(
+        {'name': name, 'mimeType': mime, 'buffer': text.encode()})
+
+def upload_and_wait(page, name='notes.txt'):
+    upload(page, name)
+    expect(page.locator('.file-info', has_text=name)).to_be_visible()
+
+def ask(page, question):
+    page.locator('.query-box').fill(question)
+    page.locator('.query-box').press('Control+Enter')
+
+def test_upload_and_ask(app):
+    upload_and_wait(app)
+    expect(app.locator('.file-info .pill', has_text='text')).to_be_visible()
+
+    ask(app, 'What does clause 4.2.1 limit?')
+    expect(app.locator('.turn-q')).to_have_text('What does clause 4.2.1 limit?')
+    card = app.locator('.response-card').last
+    expect(card).to_contain_text('Mock answer to: What does clause 4.2.1 limit?')
+    expect(card.locator('.citation-chip').first).to_be_visible()
+    expect(card.locator('.provider-badge')).to_contain_text('Mock (offline)')
+
+def test_drop_zone_accepts_dropped_files(app):
+    drop_zone = app.locator('.drop-zone')
+    files = app.evaluate_handle("""([name, text]) => {
+        const transfer = new DataTransfer();
+        transfer.items.add(new File([text], name, { type: 'text/plain' }));
+        return transfer;
+    }""", ['dropped.txt', NOTES])
+
+    drop_zone.dispatch_event('dragover', {'dataTransfer': files})
+    expect(drop_zone).to_have_class(re.compile(r'\bdrag\b'))
+    drop_zone.dispatch_event('drop', {'dataTransfer': files})
+    expect(app.locator('.file-info', has_text='dropped.txt')).to_be_visible()
+    expect(drop_zone).to_contain_text('1 of')
+
+def test_unsupported_file_shows_error_banner(app):
+    upload(app, 'diagram.png', 'not really an image', 'image/png')
+    expect(app.locator('.banner.error')).to_contain_text("isn't a supported format")
+    expect(app.locator('.file-info')).to_have_count(0)
+
+def test_failed_query_shows_error_banner_and_keeps_question(app):
+    upload_and_wait(app)
+    question = f'Please {FAILURE_TRIGGER} now'
+    ask(app, question)
+    expect(app.locator('.banner.error')).to_contain_text('Mock LLM failure')
+    expect(app.locator('.turn-q')).to_have_count(0)
+    expect(app.locator('.query-box')).to_have_value(question)
+
+def test_suggested_question_asks_it(app):
+    upload_and_wait(app)
+    app.locator('.suggestion', has_text='What are the key points?').click()
+    expect(app.locator('.response-card').last).to_contain_text('Mock answer to: What are the key points?')
+
+def test_copy_puts_answer_on_clipboard(app):
+    upload_and_wait(app)
+    ask(app, 'Which part must be delivered?')
+    card = app.locator('.response-card').last
+    copy = card.get_by_role('button', name='Copy')
+    expect(copy).to_be_visible()  # replaces Stop once the answer has finished streaming
+    copy.click()
+    expect(card.get_by_role('button', name='✓ Copied')).to_be_visible()
+    # The raw markdown is copied, not the rendered text
+    assert app.evaluate('navigator.clipboard.readText()').startswith('**Mock answer** to: Which part must be delivered?')
+
+def test_reset_clears_documents_and_thread(app):
+    upload_and_wait(app)
+    ask(app, 'Summarise the notes')
+    expect(app.locator('.response-card')).to_have_count(1)
+
+    app.get_by_role('button', name='Start over with a new collection').click()
+    expect(app.locator('.file-info')).to_have_count(0)
+    expect(app.locator('.response-card')).to_have_count(0)
+    expect(app.locator('.drop-zone')).to_contain_text('Drag & drop or click to browse')
+
+def test_history_survives_reset_and_reruns_with_diff(app):
+    upload_and_wait(app)
+    ask(app, 'Which part must be delivered?')
+    expect(app.locator('.response-card').last.get_by_role('button', name='Copy')).to_be_visible()
+    app.get_by_role('button', name='Start over with a new collection').click()
+
+    app.get_by_role('button', name=re.compile('History')).click()
+    entry = app.locator('.history-entry', has_text='Which part must be delivered?')
+    expect(entry).to_be_visible()
+    app.locator('.history-search').fill('AB-1234 nothing-matches-this')
+    expect(entry).to_have_count(0)
+    app.locator('.history-search').fill('')
+
+    entry.get_by_role('button', name='☆ Pin').click()
+    expect(entry.get_by_role('button', name='★ Pinned')).to_be_visible()
+
+    # Re-run needs documents to search again
+    upload_and_wait(app)
+    entry.get_by_role('button', name='↻ Re-run').click()
+    expect(app.locator('.latency-badge', has_text='re-run')).to_be_visible()
+    entry.get_by_role('button', name='Diff').click()
+    expect(entry.locator('.diff-note')).to_have_text('The re-run gave exactly the same answer.')
+
+def test_table_mode_offers_csv_download(app):
+    upload_and_wait(app)
+    app.get_by_role('button', name='Extract table').click()
+    ask(app, 'List the parts and clauses')
+    card = app.locator('.response-card').last
+    expect(card.locator('table')).to_be_visible()
+    with app.expect_download() as download:
+        card.get_by_role('button', name='⬇ CSV').click()
+    assert download.value.suggested_filename == 'List_the_parts_and_clauses.csv'
+
+def test_summary_mode_needs_no_question(app):
+    upload_and_wait(app)
+    app.get_by_role('button', name='Summarise').click()
+    app.locator('.btn-primary').click()
+    card = app.locator('.response-card').last
+    expect(card.locator('.latency-badge', has_text='Summarise')).to_be_visible()
+    expect(card).to_contain_text('Mock answer to:')
+
+def test_extract_mode_fills_schema_and_flags_missing_fields(app):
+    upload_and_wait(app)
+    app.get_by_role('button', name='Extract fields').click()
+    fields = app.locator('.schema-field')
+    fields.nth(0).get_by_placeholder('Field name, e.g. Effective date').fill('Liability')
+    app.get_by_role('button', name='+ Field').click()
+    fields.nth(1).get_by_placeholder('Field name, e.g. Effective date').fill('Warranty')
+    fields.nth(1).locator('select').select_option('boolean')
+    app.locator('.btn-primary').click()
+
+    row = app.locator('.extraction-table tbody tr', has_text='notes.txt')
+    expect(row.locator('td').nth(1)).to_contain_text('mock value')  # the mock fills fields named in a passage
+    expect(row.locator('.field-source')).to_be_visible()
+    expect(row.locator('td').nth(2)).to_have_text('missing')
+    with app.expect_download() as download:
+        app.locator('.response-card').last.get_by_role('button', name='⬇ JSON').click()
+    assert download.value.suggested_filename.endswith('.json')
+
+def test_section_filter_without_headings_explains_itself(app):
+    upload_and_wait(app)  # plain text has no headings
+    app.get_by_role('button', name='+ Section').click()
+    app.locator('.filter-input').fill('Liability')
+    app.locator('.filter-input').press('Enter')
+    ask(app, 'What does clause 4.2.1 limit?')
+    expect(app.locator('.banner.error')).to_contain_text('Filter by pages instead')
+
+def test_extraction_csv_neutralises_formulas(app):
+    upload_and_wait(app)
+    app.get_by_role('button', name='Extract fields').click()
+    field = app.locator('.schema-field').first
+    field.get_by_placeholder('Field name, e.g. Effective date').fill('Liability')
+    # The mock extracts a text field's description as its value
+    field.get_by_placeholder('What to look for (optional)').fill('=HYPERLINK("http://example.com","x")')
+    app.locator('.btn-primary').click()
+
+    card = app.locator('.response-card').last
+    expect(card.locator('.extraction-table')).to_contain_text('=HYPERLINK')
+    with app.expect_download() as download:
+        card.get_by_role('button', name='⬇ CSV').click()
+    rows = open(download.value.path(), encoding='utf-8').read().split('\r\n')
+    assert rows[1].startswith('notes.txt,"\'=HYPERLINK(""http://example.com"",""x"")",')
@@ -0,0 +1,60 @@
+"""Schema parsing and reply validation of the extract answer mode (no model calls)."""
+import json
+import math
+
+import pytest
+from langchain_core.documents import Document
+
+import backend
+
+FIELDS = [
+    {'name': 'Amount', 'type': 'number', 'description': ''},
+    {'name': 'Signed', 'type': 'date', 'description': ''},
+]
+
+def passage(number, page):
+    return Document(page_content='', metadata={
+        'source_id': number, 'page_number': page, 'location': f'page {page}'})
+
+PASSAGES = [passage(1, 2), passage(2, 5), passage(3, 9)]
+
+def row(reply):
+    return backend.extraction_row({'id': 'doc', 'name': 'doc.pdf'}, FIELDS, reply, PASSAGES)
+
+@pytest.mark.parametrize('source, page', [
+    (2, 5), (2.0, 5), ('2', 5), ('3.0', 9), ('[1], [2]', 2), ('passages 3 and 1', 9),
+])
+def test_cited_source_is_the_first_passage_number(source, page):
+    reply = f'{{"Amount": {{"value": 10, "source": {json.dumps(source)}}}}}'
+    assert row(reply)['fields']['Amount']['page'] == page
+
+def test_unknown_or_non_finite_sources_have_no_page():
+    assert row('{"Amount": {"value": 10, "source": 7}}')['fields']['Amount']['page'] is None
+    assert row('{"Amount": {"value": 10, "source": NaN}}')['fields']['Amount']['source_id'] is None
+
+@pytest.mark.parametrize('raw, value', [
+    (1200, 1200), ('1200.5', 1200.5), ('1,200.50', 1200.5), (' -42 ', -42),
+])
+def test_numbers_are_parsed(raw, value):
+    assert backend.coerce_value('number', raw) == value
+
+@pytest.mark.parametrize('raw', [math.nan, math.inf, -math.inf, '9' * 400 + '.5', '1.200,50', '1,5', '1,20', '$5', True])
+def test_ambiguous_or_non_finite_numbers_are_invalid(raw):
+    with pytest.raises(ValueError):
+        backend.coerce_value('number', raw)
+
+def test_non_finite_reply_values_stay_valid_json():
+    result = row('{"Amount": {"value": Infinity, "source": 1}, "Signed": {"value": "2024-02-30", "source": 1}}')
+    assert result['fields']['Amount']['status'] == 'invalid'
+    assert result['fields']['Signed']['status'] == 'invalid'
+    assert result['missing'] == ['Amount', 'Signed']
+    json.dumps(result, allow_nan=False)
+
+    overflowing = row(json.dumps({'Amount': {'value': '9' * 400 + '.5', 'source': 1}}))
+    assert overflowing['fields']['Amount']['status'] == 'invalid'
+    json.dumps(overflowing, allow_nan=False)
+
+@pytest.mark.parametrize('name', [{'a': 1}, ['Amount'], 42, '   ', None])
+def test_schema_names_must_be_text(name):
+    fields, error = backend.parse_extraction_schema([{'name': name}])
+    assert fields is None and error.startswith('Field names must be text')
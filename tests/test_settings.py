@@ -0,0 +1,27 @@
+"""Validation of client-supplied retrieval and chunking settings (no model calls)."""
+import pytest
+
+import backend
+
+@pytest.mark.parametrize('k', ['inf', '-inf', 'nan', 1e999, 10 ** 400, 'five'])
+def test_non_finite_retrieval_numbers_are_rejected(k):
+    settings, error = backend.parse_retrieval_settings({'k': k})
+    assert settings is None and error == 'k must be a number.'
+
+def test_non_finite_chunk_size_is_rejected():
+    settings, error = backend.parse_chunking_settings({'chunk_size': 'inf'})
+    assert settings is None and error == 'chunk_size must be a number.'
+
+def test_in_range_settings_are_kept():
+    settings, error = backend.parse_retrieval_settings({'k': '3', 'lambda_mult': 0.5})
+    assert error is None and settings['k'] == 3 and settings['lambda_mult'] == 0.5
+
+@pytest.mark.parametrize('pages', [[1, 1e999], [1, 'inf'], ['nan', 2], [3, 2]])
+def test_bad_page_filters_are_rejected(pages):
+    filters, error = backend.parse_search_filters({'pages': pages})
+    assert filters is None and error.startswith('filters.pages must be')
+
+@pytest.mark.parametrize('doc_id', [['a'], {'id': 'a'}, 7, None])
+def test_compare_sides_with_bad_doc_ids_are_rejected(doc_id):
+    sides, labels, error = backend.parse_compare_sides([{'doc_id': doc_id}, {'doc_id': 'a'}], {'a': {'name': 'a.pdf'}})
+    assert sides is None and error == 'Side A must be a document in the collection.'